@@ -7,9 +7,134 @@
  * colour and font system, and simple schedule management. The code is
  * deliberately modular so that you can extend it with workouts, messaging,
  * payment processing (e.g. Stripe/Vipps) and other features later. To use
- * Supabase, set the SUPABASE_URL and SUPABASE_KEY constants below and
- * create tables called "participants" (name text), "sessions" (id text,
- * label text) and "scores" (name text, points integer, bestCount integer).
+ * Supabase, set the SUPABASE_URL and SUPABASE_KEY constants below (and in
+ * public.html, which reads the public link keys) and create these tables:
+ *
+ *   participants   id text, name text, email text, phone text,
+ *                  joinedAt text, active boolean, userId uuid,
+ *                  hideFromPublic boolean (rows made before ids existed
+ *                  get one from migrateRemoteData() at a coach login)
+ *   sessions       id text, label text, duration integer, location text,
+ *                  ruleId text, oneOff boolean, cancelled boolean,
+ *                  note text, capacity integer, revision integer,
+ *                  updatedAt text, removed boolean, manuallyRemoved
+ *                  boolean
+ *   schedules      id integer, rules jsonb, exceptions jsonb
+ *   bookings       sessionId text, participant text (participant id),
+ *                  timestamp text
+ *                  (unique on sessionId+participant)
+ *   attendance     sessionId text, participant text (participant id),
+ *                  attended boolean,
+ *                  best boolean, timestamp text
+ *                  (unique on sessionId+participant)
+ *   scoring_rules  id integer, rules jsonb
+ *   workouts       id text, name text, blocks jsonb, audio jsonb,
+ *                  voice jsonb, ownerId uuid
+ *                  (exercises jsonb holds workouts saved before blocks;
+ *                  users insert, update and delete rows where ownerId =
+ *                  auth.uid(), coaches all rows, see canEditWorkout())
+ *   messages       id text, from text, to text (participant id of the
+ *                  thread), text text, attachments jsonb, timestamp text
+ *   profiles       id text, userId uuid, email text, role text
+ *                  ('owner', 'coach' or 'participant')
+ *   payment_settings  id integer, priceId text, weeks integer
+ *   invite_codes   code text, active boolean, createdAt text (readable by
+ *                  coaches only)
+ *   seasons        id text, name text, start text, end text (dates as
+ *                  YYYY-MM-DD), archived boolean, final jsonb
+ *   shoutout_log   id text, text text, sessionId text, timestamp text
+ *   workout_log    id text, workoutId text, workoutName text, userId uuid,
+ *                  participant text, startedAt text, endedAt text,
+ *                  duration integer, completed boolean, segmentsDone
+ *                  integer, segmentsTotal integer, sets jsonb, updatedAt
+ *                  text (users write their own rows; coaches read all
+ *                  for the program overview)
+ *   programs       id text, name text, start text, weeks integer, days
+ *                  jsonb, everyone boolean, participants jsonb, updatedAt
+ *                  text (participants read the workouts of their
+ *                  programs)
+ *   exercises      id text, name text, description text, cues jsonb,
+ *                  muscles jsonb, equipment jsonb, media text, mediaType
+ *                  text, updatedAt text (readable by all users)
+ *   snapshot_keys  id integer, privateKey jsonb, publicKey jsonb,
+ *                  createdAt text (signs public links; readable and
+ *                  writable by owners only, and left out of backups;
+ *                  links are signed by the sign-snapshot Edge Function,
+ *                  see below)
+ *   snapshot_public_keys
+ *                  id text, publicKey jsonb, createdAt text (every
+ *                  public key ever created, so public.html can verify
+ *                  links without a copy of the key; allow anonymous
+ *                  select, writes by owners only, and delete a row to
+ *                  stop trusting links signed with that key)
+ *   scores         name text, points integer, bestCount integer
+ *                  (optional; totals recorded before the attendance
+ *                  ledger, used as an opening balance and matched to
+ *                  participants by name)
+ *
+ * The subscribable calendar feed is written to a public Storage bucket
+ * called "calendar". Audio cues and message attachments are uploaded to a
+ * public bucket called "media".
+ *
+ * Participant rows made before ids existed get one at a coach login. Rows
+ * that share a name cannot be told apart through the REST API, so the ids
+ * are assigned by this function when it exists:
+ *
+ *   create function public.assign_participant_ids() returns void
+ *   language sql security definer as $$
+ *     update public.participants set id = gen_random_uuid()::text
+ *     where id is null;
+ *   $$;
+ *
+ * Public scoreboard links are signed on the server so coaches can sign
+ * them without ever reading the private key. Deploy an Edge Function
+ * called "sign-snapshot" that takes { payload } (base64url), checks that
+ * the caller's profiles.role is owner or coach, reads privateKey from
+ * snapshot_keys with the service role key, signs the decoded payload with
+ * ECDSA P-256 / SHA-256 (crypto.subtle, raw r|s signature) and returns
+ * { signature } as base64url, or { signature: null } when no key exists.
+ *
+ * Permissions (see PERMISSIONS) are checked in the client for a usable UI,
+ * but the client can be bypassed: mirror them in row level security
+ * policies based on profiles.role. To get started, sign in once and set
+ * role = 'owner' on your row in profiles; owners can invite and promote
+ * everyone else from the admin panel.
+ *
+ * The kiosk route (#/kiosk) runs on a gym screen without a login. For it
+ * to show data, allow anonymous select on attendance, sessions, schedules,
+ * bookings, scoring_rules, scores, seasons and shoutouts, and enable
+ * realtime on attendance, sessions, shoutouts and scoring_rules for
+ * instant updates. Do not open participants itself to anonymous users, as
+ * it holds email, phone and userId; without a login participants are read
+ * from a view that only exposes what the scoreboard shows:
+ *
+ *   create view public.public_participants as
+ *     select id, name, active, "hideFromPublic" from public.participants;
+ *   grant select on public.public_participants to anon;
+ *
+ * Self-service sign-up uses Supabase Auth with email confirmation. To gate
+ * it with invite codes, create an RPC function check_invite_code(code text)
+ * returning boolean (true when the code is active, or when no code is
+ * active at all), as SECURITY DEFINER so anonymous users can call it. The
+ * client check can be skipped, so enforce the code on the server too with
+ * a trigger on auth.users:
+ *
+ *   create function public.require_invite_code() returns trigger
+ *   language plpgsql security definer as $$
+ *   begin
+ *     if not public.check_invite_code(
+ *         new.raw_user_meta_data->>'inviteCode') then
+ *       raise exception 'Ugyldig invitasjonskode';
+ *     end if;
+ *     return new;
+ *   end $$;
+ *   create trigger require_invite_code before insert on auth.users
+ *     for each row execute function public.require_invite_code();
+ *
+ * Users invited by email sign up through the same form, so they need a
+ * code too while any code is active. Also add the app's URL to the
+ * allowed redirect URLs for confirmation, magic link and password reset
+ * emails.
  */
 
 // === Configuration ===
@@ -18,14 +143,108 @@
 // localStorage for all data.
 const SUPABASE_URL = '';
 const SUPABASE_KEY = '';
-// Define which email addresses are allowed to access admin features.
-const ADMIN_EMAILS = ['coach@example.com'];
+
+// Roles, from most to least privileged. A user's role is stored in the
+// "profiles" table; the first owner is promoted there by hand.
+const ROLES = [
+  { id: 'owner', label: 'Eier' },
+  { id: 'coach', label: 'Trener' },
+  { id: 'participant', label: 'Deltaker' }
+];
+
+// Which roles may perform each action. Checked by the UI to hide controls
+// and by the data layer before every write.
+const PERMISSIONS = {
+  'admin.view': ['owner', 'coach'],
+  'participants.manage': ['owner', 'coach'],
+  'schedule.manage': ['owner', 'coach'],
+  'attendance.register': ['owner', 'coach'],
+  'scoring.manage': ['owner', 'coach'],
+  'bookings.manage': ['owner', 'coach'],
+  'theme.manage': ['owner'],
+  'payments.manage': ['owner'],
+  'users.manage': ['owner'],
+  'backup.manage': ['owner'],
+  'scoreboard.share': ['owner', 'coach'],
+  'sharing.manage': ['owner'],
+  'seasons.manage': ['owner', 'coach'],
+  'programs.manage': ['owner', 'coach'],
+  'exercises.manage': ['owner', 'coach']
+};
 
 // Storage keys for local fallback
 const LS_PARTICIPANTS = 'a4f_backend_participants';
+// Version of the localStorage data layout, see migrateLocalData()
+const LS_SCHEMA_VERSION = 'a4f_backend_schema_version';
+const SCHEMA_VERSION = 2;
 const LS_SCORES = 'a4f_backend_scores';
 const LS_SESSIONS = 'a4f_backend_sessions';
 const LS_THEME = 'a4f_backend_theme';
+const LS_ATTENDANCE = 'a4f_backend_attendance';
+const LS_SCORING = 'a4f_backend_scoring';
+const LS_SCHEDULE = 'a4f_backend_schedule';
+const LS_BOOKINGS = 'a4f_backend_bookings';
+const LS_PROFILES = 'a4f_backend_profiles';
+const LS_PAYMENT = 'a4f_backend_payment';
+const LS_INVITE_CODES = 'a4f_backend_invite_codes';
+const LS_SHOUTOUT = 'a4f_backend_shoutout';
+const LS_SNAPSHOT_KEY = 'a4f_backend_snapshot_key';
+const LS_SEASONS = 'a4f_backend_seasons';
+const LS_SHOUTOUT_LOG = 'a4f_backend_shoutout_log';
+
+// Offline support for the Supabase mode: writes made without a connection
+// wait in a durable queue, and the last result of each read is cached so
+// pages still render offline.
+const LS_SYNC_QUEUE = 'a4f_backend_sync_queue';
+const LS_SYNC_CONFLICTS = 'a4f_backend_sync_conflicts';
+const LS_READ_CACHE = 'a4f_backend_cache_';
+const SYNC_TAG = 'a4f-sync';
+
+// Places per session when neither the session nor its schedule rule sets one
+const DEFAULT_CAPACITY = 20;
+
+// Weekdays in display order (Monday first). `day` matches Date#getDay().
+const WEEKDAYS = [
+  { day: 1, short: 'Man', plural: 'mandager' },
+  { day: 2, short: 'Tir', plural: 'tirsdager' },
+  { day: 3, short: 'Ons', plural: 'onsdager' },
+  { day: 4, short: 'Tor', plural: 'torsdager' },
+  { day: 5, short: 'Fre', plural: 'fredager' },
+  { day: 6, short: 'Lør', plural: 'lørdager' },
+  { day: 0, short: 'Søn', plural: 'søndager' }
+];
+
+// Default recurring schedule: the original Ask4Booty programme with eight
+// weeks of Monday 19:00 and Wednesday 18:00 sessions.
+const DEFAULT_SCHEDULE = {
+  rules: [
+    { id: 'default-mon', weekdays: [1], time: '19:00', duration: 60, location: '', capacity: DEFAULT_CAPACITY, startDate: '2025-08-18', weeks: 8, endDate: '' },
+    { id: 'default-wed', weekdays: [3], time: '18:00', duration: 60, location: '', capacity: DEFAULT_CAPACITY, startDate: '2025-08-18', weeks: 8, endDate: '' }
+  ],
+  exceptions: []
+};
+
+// Default scoring rules: +1 for attending and +1 for "Beste innsats". Coaches
+// can change these and add streak and per-session bonuses in the admin panel.
+const DEFAULT_SCORING_RULES = {
+  attendancePoints: 1,
+  bestEffortPoints: 1,
+  streakBonuses: [],
+  sessionBonuses: {}
+};
+
+// Achievement badges unlocked from the attendance ledger. Each test receives
+// the participant's stats from computeParticipantStats().
+const ACHIEVEMENTS = [
+  { id: 'first-session', icon: '👟', label: 'Første økt', test: s => s.attended >= 1 },
+  { id: 'streak-4', icon: '🔥', label: '4 økter på rad', test: s => s.longestStreak >= 4 },
+  { id: 'streak-8', icon: '💥', label: '8 økter på rad', test: s => s.longestStreak >= 8 },
+  { id: 'sessions-10', icon: '🔟', label: 'Første 10 økter', test: s => s.attended >= 10 },
+  { id: 'sessions-25', icon: '🎖️', label: '25 økter', test: s => s.attended >= 25 },
+  { id: 'best-3', icon: '⭐', label: '3x beste innsats', test: s => s.bestCount >= 3 },
+  { id: 'perfect-cycle', icon: '🏆', label: 'Perfekt 8-ukers syklus', test: s => s.perfectCycles >= 1 }
+];
+const CYCLE_LENGTH_MS = 8 * 7 * 24 * 60 * 60 * 1000;
 
 // Additional local storage keys for workouts and messages. These store
 // complex structures (arrays/objects) in JSON form when Supabase is
@@ -34,6 +253,11 @@ const LS_THEME = 'a4f_backend_theme';
 // messaging threads between coach and clients.
 const LS_WORKOUTS = 'a4f_backend_workouts';
 const LS_MESSAGES = 'a4f_backend_messages';
+// Position of the workout player, so a reload resumes the workout
+const LS_PLAYER_STATE = 'a4f_backend_player';
+const LS_WORKOUT_LOG = 'a4f_backend_workout_log';
+const LS_PROGRAMS = 'a4f_backend_programs';
+const LS_EXERCISES = 'a4f_backend_exercises';
 
 // Stripe integration constants. To enable Stripe checkout in the
 // payment page, fill in your own publishable key and a price ID from
@@ -46,7 +270,8 @@ const STRIPE_PRICE_ID = '';
 // Global state
 let supabase = null;
 let currentSession = null;
-let isAdmin = false;
+// Role of the logged-in user (see ROLES), null when logged out
+let currentRole = null;
 
 document.addEventListener('DOMContentLoaded', initApp);
 
@@ -58,19 +283,40 @@ async function initApp() {
     const { data } = await supabase.auth.getSession();
     currentSession = data.session;
     if (currentSession) {
-      isAdmin = ADMIN_EMAILS.includes(currentSession.user.email);
+      currentRole = await loadCurrentRole();
+      await migrateRemoteData();
+      // First visit after confirming a sign-up or following a magic link
+      await ensureParticipantForUser();
+    }
+    // Reset links from "Glemt passord?" come back with ?flow=recovery
+    supabase.auth.onAuthStateChange((event) => {
+      if (event === 'PASSWORD_RECOVERY') pendingRoute = '/reset-password';
+    });
+    if (new URLSearchParams(location.search).get('flow') === 'recovery') {
+      history.replaceState(null, '', location.pathname + '#/reset-password');
     }
   }
+  // Convert data stored by older versions of the app
+  if (!supabase) {
+    migrateLocalData();
+  }
   // Register service worker for PWA caching
   if ('serviceWorker' in navigator) {
     navigator.serviceWorker.register('service-worker.js');
+    // The service worker's Background Sync asks us to replay queued writes
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data && event.data.type === SYNC_TAG) flushWriteQueue();
+    });
   }
-  renderNav();
-  if (!currentSession) {
-    renderLogin();
-  } else {
-    renderHome();
+  if (supabase) {
+    window.addEventListener('online', flushWriteQueue);
+    window.addEventListener('offline', updateSyncStatus);
+    flushWriteQueue();
   }
+  renderNav();
+  // Route to the page named in the URL hash; back/forward fire hashchange
+  window.addEventListener('hashchange', handleRoute);
+  handleRoute();
   // Apply saved theme customisations
   applySavedTheme();
 }
@@ -81,67 +327,280 @@ function renderNav() {
   nav.innerHTML = '';
   const buttons = [];
   // Always include home and scoreboard
-  buttons.push({ id: 'nav-home', label: 'Hjem', handler: renderHome });
-  buttons.push({ id: 'nav-scoreboard', label: 'Scoreboard', handler: renderScoreboard });
+  buttons.push({ id: 'nav-home', label: 'Hjem', route: '/home' });
+  buttons.push({ id: 'nav-scoreboard', label: 'Scoreboard', route: '/scoreboard' });
   // Additional pages become available once logged in
   if (currentSession) {
-    buttons.push({ id: 'nav-workouts', label: 'Økter', handler: renderWorkouts });
-    buttons.push({ id: 'nav-payment', label: 'Betaling', handler: renderPayment });
-    buttons.push({ id: 'nav-messages', label: 'Meldinger', handler: renderMessages });
+    buttons.push({ id: 'nav-workouts', label: 'Økter', route: '/workouts' });
+    if (can('programs.manage')) {
+      buttons.push({ id: 'nav-programs', label: 'Programmer', route: '/programs' });
+    }
+    if (can('exercises.manage')) {
+      buttons.push({ id: 'nav-exercises', label: 'Øvelsesbank', route: '/exercises' });
+    }
+    buttons.push({ id: 'nav-payment', label: 'Betaling', route: '/payment' });
+    buttons.push({ id: 'nav-messages', label: 'Meldinger', route: '/messages' });
     buttons.push({ id: 'nav-logout', label: 'Logg ut', handler: logout });
-    if (isAdmin) {
-      buttons.push({ id: 'nav-admin', label: 'Admin', handler: renderAdmin });
+    if (can('admin.view')) {
+      buttons.push({ id: 'nav-admin', label: 'Admin', route: '/admin' });
     }
   } else {
-    // When not logged in only login link is shown besides home/scoreboard
-    buttons.push({ id: 'nav-login', label: 'Logg inn', handler: renderLogin });
+    // When not logged in only login link is shown besides home/scoreboard,
+    // plus backup in localStorage mode where login is not possible
+    buttons.push({ id: 'nav-login', label: 'Logg inn', route: '/login' });
+    if (!supabase) {
+      buttons.push({ id: 'nav-backup', label: 'Backup', route: '/backup' });
+    }
   }
   buttons.forEach(btn => {
     const el = document.createElement('button');
     el.id = btn.id;
     el.className = 'btn';
     el.textContent = btn.label;
-    el.addEventListener('click', btn.handler);
+    if (btn.route) el.dataset.route = btn.route;
+    el.addEventListener('click', btn.handler || (() => navigate(btn.route)));
     nav.appendChild(el);
   });
+  highlightNav();
+}
+
+// Mark the nav button whose route is a prefix of the current path
+function highlightNav() {
+  const path = currentPath();
+  document.querySelectorAll('#nav button').forEach(el => {
+    const route = el.dataset.route;
+    el.classList.toggle('active', !!route && (path === route || path.startsWith(route + '/')));
+  });
+}
+
+// ==== Router ====
+
+// Hash routes. `:name` segments are passed to the render function as
+// params. `auth` routes require a login and `admin` routes require admin
+// access; `permission` routes require the given permission. The guards in
+// handleRoute() enforce them.
+const ROUTES = [
+  { path: '/login', render: () => renderLogin() },
+  { path: '/signup', render: () => renderLogin('signup') },
+  { path: '/reset-password', auth: true, render: () => renderLogin('reset') },
+  { path: '/home', render: () => renderHome() },
+  { path: '/scoreboard', render: () => renderScoreboard() },
+  { path: '/scoreboard/:seasonId', render: params => renderScoreboard(params.seasonId) },
+  { path: '/progress/:id', render: params => withParticipant(params.id, p => renderProgress(p)) },
+  { path: '/kiosk', render: () => renderKiosk() },
+  { path: '/workouts', auth: true, render: () => renderWorkouts() },
+  { path: '/workouts/new', auth: true, render: () => renderWorkoutEditor(createWorkout(), true) },
+  { path: '/workouts/import/:data', auth: true, render: params => renderWorkoutImport(decodeWorkoutLink(params.data)) },
+  { path: '/workouts/:id/edit', auth: true, render: params => withWorkout(params.id, wo => renderWorkoutEditor(wo)) },
+  { path: '/workouts/:id/play', auth: true, render: params => withWorkout(params.id, wo => renderWorkoutPlayer(wo)) },
+  { path: '/workouts/:id/history', auth: true, render: params => withWorkout(params.id, wo => renderWorkoutHistory(wo)) },
+  { path: '/programs', permission: 'programs.manage', render: () => renderPrograms() },
+  { path: '/programs/new', permission: 'programs.manage', render: () => renderProgramEditor(createProgram()) },
+  { path: '/programs/:id', permission: 'programs.manage', render: params => withProgram(params.id, p => renderProgramEditor(p)) },
+  { path: '/exercises', permission: 'exercises.manage', render: () => renderExercises() },
+  { path: '/exercises/new', permission: 'exercises.manage', render: () => renderExerciseEditor(createCatalogExercise()) },
+  { path: '/exercises/:id', permission: 'exercises.manage', render: params => withExercise(params.id, e => renderExerciseEditor(e)) },
+  { path: '/payment', auth: true, render: () => renderPayment() },
+  { path: '/messages', auth: true, render: () => renderMessages() },
+  { path: '/messages/:id', auth: true, render: params => withParticipant(params.id, p => renderConversation(p)) },
+  { path: '/admin', permission: 'admin.view', render: () => renderAdmin() },
+  { path: '/backup', render: () => renderBackupPage() }
+];
+
+// Route to return to after a successful login
+let pendingRoute = null;
+// Cleanup registered by the current page (e.g. a running timer)
+let routeCleanup = null;
+
+function currentPath() {
+  return location.hash.replace(/^#/, '') || '';
+}
+
+/**
+ * Navigate to a route. Adds a history entry unless `replace` is set. When
+ * the hash is unchanged the route is rendered again.
+ * @param {string} path Route path such as '/workouts/123/edit'
+ * @param {boolean} replace Replace the current history entry
+ */
+function navigate(path, replace = false) {
+  if (currentPath() === path) {
+    handleRoute();
+  } else if (replace) {
+    location.replace('#' + path);
+  } else {
+    location.hash = path;
+  }
+}
+
+/**
+ * Register a function that runs when the user navigates away from the
+ * current page.
+ * @param {Function} fn Cleanup function
+ */
+function onRouteLeave(fn) {
+  routeCleanup = fn;
+}
+
+function matchRoute(path) {
+  const parts = path.split('/').filter(Boolean);
+  for (const route of ROUTES) {
+    const routeParts = route.path.split('/').filter(Boolean);
+    if (routeParts.length !== parts.length) continue;
+    const params = {};
+    const matches = routeParts.every((rp, i) => {
+      if (rp.startsWith(':')) {
+        // A malformed escape such as %E0 does not match any route
+        try {
+          params[rp.slice(1)] = decodeURIComponent(parts[i]);
+        } catch (err) {
+          return false;
+        }
+        return true;
+      }
+      return rp === parts[i];
+    });
+    if (matches) return { route, params };
+  }
+  return null;
+}
+
+async function handleRoute() {
+  if (routeCleanup) {
+    routeCleanup();
+    routeCleanup = null;
+  }
+  const path = currentPath();
+  const match = matchRoute(path);
+  if (!match) {
+    navigate(currentSession ? '/home' : '/login', true);
+    return;
+  }
+  const { route, params } = match;
+  if ((route.auth || route.permission) && !currentSession) {
+    pendingRoute = path;
+    navigate('/login', true);
+    return;
+  }
+  if (route.permission && !can(route.permission)) {
+    alert('Du har ikke tilgang til adminfunksjoner.');
+    navigate('/home', true);
+    return;
+  }
+  if (route.path !== '/login') {
+    document.getElementById('login-modal').classList.add('hidden');
+  }
+  highlightNav();
+  await route.render(params);
 }
 
-// Render login form
-function renderLogin() {
+// Texts per login modal mode: password login, magic link, sign-up,
+// forgotten password and choosing a new password after a reset link
+const AUTH_MODES = {
+  login: { intro: 'Logg inn for å få tilgang til dine økter og scoreboard.', submit: 'Logg inn' },
+  magic: { intro: 'Få en innloggingslenke på e‑post – ingen passord nødvendig.', submit: 'Send lenke' },
+  signup: { intro: 'Opprett en konto. Du får en e‑post for å bekrefte adressen.', submit: 'Registrer deg' },
+  forgot: { intro: 'Skriv inn e‑posten din, så sender vi en lenke for å velge nytt passord.', submit: 'Send lenke' },
+  reset: { intro: 'Velg et nytt passord.', submit: 'Lagre passord' }
+};
+
+/**
+ * Render the login modal in the given mode. Form fields are shown or hidden
+ * based on their data-modes attribute.
+ * @param {string} mode Key of AUTH_MODES
+ */
+function renderLogin(mode = 'login') {
   const modal = document.getElementById('login-modal');
   modal.classList.remove('hidden');
   const content = document.getElementById('content');
-  content.innerHTML = '<p>Logg inn for å få tilgang til dine økter og scoreboard.</p>';
-  document.getElementById('login-submit').onclick = async () => {
-    const email = document.getElementById('login-email').value;
+  content.innerHTML = `<p>${AUTH_MODES[mode].intro}</p>`;
+  modal.querySelectorAll('[data-modes]').forEach(el => {
+    el.classList.toggle('hidden', !el.dataset.modes.split(' ').includes(mode));
+  });
+  modal.querySelectorAll('[data-mode]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.mode === mode);
+    btn.onclick = (e) => {
+      e.preventDefault();
+      renderLogin(btn.dataset.mode);
+    };
+  });
+  const message = document.getElementById('login-message');
+  message.textContent = '';
+  const submit = document.getElementById('login-submit');
+  submit.textContent = AUTH_MODES[mode].submit;
+  submit.onclick = async () => {
+    const email = document.getElementById('login-email').value.trim();
     const password = document.getElementById('login-password').value;
     if (!SUPABASE_URL || !SUPABASE_KEY) {
       alert('Supabase er ikke konfigurert. Legg inn nøklene i app.js.');
       return;
     }
+    // Auth emails bring the user back to this page
+    const redirectTo = location.origin + location.pathname;
     try {
-      const { data, error } = await supabase.auth.signInWithPassword({ email, password });
-      if (error) throw error;
-      currentSession = data.session;
-      isAdmin = ADMIN_EMAILS.includes(currentSession.user.email);
-      modal.classList.add('hidden');
-      renderNav();
-      renderHome();
+      if (mode === 'login') {
+        const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+        if (error) throw error;
+        await completeLogin(data.session);
+      } else if (mode === 'magic') {
+        const { error } = await supabase.auth.signInWithOtp({ email, options: { emailRedirectTo: redirectTo, shouldCreateUser: false } });
+        if (error) throw error;
+        message.textContent = 'Sjekk e‑posten din og trykk på lenken for å logge inn.';
+      } else if (mode === 'signup') {
+        const name = document.getElementById('login-name').value.trim();
+        const inviteCode = document.getElementById('login-invite').value.trim();
+        if (!name) throw new Error('Skriv inn navnet ditt.');
+        if (!(await checkInviteCode(inviteCode))) throw new Error('Ugyldig invitasjonskode. Be treneren din om en kode.');
+        const { data, error } = await supabase.auth.signUp({
+          email,
+          password,
+          options: { emailRedirectTo: redirectTo, data: { name, inviteCode } }
+        });
+        if (error) throw error;
+        if (data.session) {
+          await completeLogin(data.session);
+        } else {
+          message.textContent = 'Nesten ferdig! Bekreft e‑postadressen din via lenken vi har sendt deg.';
+        }
+      } else if (mode === 'forgot') {
+        const { error } = await supabase.auth.resetPasswordForEmail(email, { redirectTo: redirectTo + '?flow=recovery' });
+        if (error) throw error;
+        message.textContent = 'Hvis e‑posten er registrert, får du en lenke for å velge nytt passord.';
+      } else if (mode === 'reset') {
+        const { error } = await supabase.auth.updateUser({ password });
+        if (error) throw error;
+        alert('Passordet er oppdatert.');
+        pendingRoute = null;
+        await completeLogin(currentSession);
+      }
     } catch (err) {
-      alert('Innlogging feilet: ' + err.message);
+      message.textContent = (mode === 'login' ? 'Innlogging feilet: ' : 'Noe gikk galt: ') + err.message;
     }
   };
 }
 
+// Finish a login: resolve role and participant, then continue to the page
+// that required the login
+async function completeLogin(session) {
+  currentSession = session;
+  currentRole = await loadCurrentRole();
+  await migrateRemoteData();
+  await ensureParticipantForUser();
+  document.getElementById('login-modal').classList.add('hidden');
+  renderNav();
+  const target = pendingRoute || '/home';
+  pendingRoute = null;
+  navigate(target);
+}
+
 // Logout
 async function logout() {
   if (supabase) {
     await supabase.auth.signOut();
   }
   currentSession = null;
-  isAdmin = false;
+  currentRole = null;
   renderNav();
-  renderLogin();
+  navigate('/login');
 }
 
 // Home: list upcoming sessions
@@ -149,47 +608,160 @@ async function renderHome() {
   const container = document.getElementById('content');
   container.innerHTML = '';
   const sessions = await loadSessions();
+  const schedule = await loadSchedule();
   const upcoming = sessions.filter(s => new Date(s.id) >= new Date()).slice(0, 3);
+  const active = sessions.filter(s => !s.cancelled);
   const wrapper = document.createElement('div');
   wrapper.innerHTML = `
     <h2>Kommende Ask4Booty økter</h2>
-    <p>Mandager kl. 19:00 og onsdager kl. 18:00. Totalt ${sessions.length} økter.</p>
-    <ul>
-      ${upcoming.map(s => `<li>${s.label}</li>`).join('')}
+    <p>${describeSchedule(schedule)} Totalt ${active.length} økter.</p>
+    <ul id="upcoming-list">
+      ${upcoming.map(s => `<li data-session="${s.id}">${s.cancelled ? `<s>${s.label}</s> – avlyst${s.note ? ` (${escapeHtml(s.note)})` : ''}` : s.label}${!s.cancelled && s.location ? `, ${escapeHtml(s.location)}` : ''}</li>`).join('')}
     </ul>
-    <p>${isAdmin ? 'Gå til admin‑panelet for å endre timeplanen.' : 'Kontakt treneren din for mer info.'}</p>
+    <p>${can('schedule.manage') ? 'Gå til admin‑panelet for å endre timeplanen.' : 'Kontakt treneren din for mer info.'}</p>
   `;
   container.appendChild(wrapper);
+  // Booking status and calendar export per session
+  const me = currentSession ? await getCurrentParticipant() : null;
+  for (const li of wrapper.querySelectorAll('#upcoming-list li')) {
+    const session = upcoming.find(s => s.id === li.dataset.session);
+    if (session.cancelled) continue;
+    li.appendChild(await renderBookingControls(session, schedule, me));
+    const calBtn = document.createElement('button');
+    calBtn.className = 'btn';
+    calBtn.style.marginLeft = '0.5rem';
+    calBtn.textContent = '📅';
+    calBtn.title = 'Legg til i kalender';
+    calBtn.onclick = () => downloadCalendar([session], `ask4fitness-${toDateKey(new Date(session.id))}.ics`);
+    li.appendChild(calBtn);
+  }
+  container.appendChild(renderCalendarActions(sessions));
   // Teaser for workouts and membership
   if (currentSession) {
+    const todays = me ? await renderTodaysWorkout(me) : null;
+    if (todays) container.appendChild(todays);
     const teaser = document.createElement('div');
     teaser.style.marginTop = '1rem';
     teaser.innerHTML = `
       <h3>Utforsk dine økter</h3>
       <p>Trykk på fanen "Økter" for å starte eller redigere dine treningsprogrammer.</p>
+      ${me ? '' : '<p>Kontoen din er ikke koblet til en deltaker ennå, så du kan ikke melde deg på økter. Kontakt treneren din.</p>'}
     `;
     container.appendChild(teaser);
+    if (me) {
+      // Participants decide themselves whether public links may show them
+      const optOut = document.createElement('label');
+      optOut.innerHTML = '<input type="checkbox" /> Ikke vis meg på offentlige scoreboard‑lenker';
+      const checkbox = optOut.querySelector('input');
+      checkbox.checked = !!me.hideFromPublic;
+      checkbox.onchange = () => writeParticipant({ ...me, hideFromPublic: checkbox.checked });
+      teaser.appendChild(optOut);
+    }
   }
 }
 
-// Scoreboard: show list sorted by points
-async function renderScoreboard() {
-  const container = document.getElementById('content');
-  container.innerHTML = '';
+/**
+ * Show how many places are taken on a session and let the logged-in
+ * participant book, cancel or join the waitlist.
+ * @param {Object} session Upcoming session
+ * @param {Object} schedule Schedule, used for the rule's capacity
+ * @param {Object|null} me Current participant, if the login is linked to one
+ * @returns {HTMLElement}
+ */
+async function renderBookingControls(session, schedule, me) {
+  const span = document.createElement('span');
+  span.className = 'booking';
+  const capacity = sessionCapacity(session, schedule);
+  const { booked, waitlist } = splitBookings(await loadBookings(session.id), capacity);
+  const status = document.createElement('span');
+  status.textContent = ` – ${booked.length}/${capacity} påmeldt${waitlist.length ? `, ${waitlist.length} på venteliste` : ''}`;
+  span.appendChild(status);
+  if (!me) return span;
+  const btn = document.createElement('button');
+  btn.className = 'btn';
+  btn.style.marginLeft = '0.5rem';
+  const waitIdx = waitlist.findIndex(b => b.participant === me.id);
+  if (booked.some(b => b.participant === me.id)) {
+    status.textContent += ' (du er påmeldt)';
+    btn.textContent = 'Meld av';
+    btn.onclick = async () => {
+      await cancelBooking(session.id, me.id);
+      renderHome();
+    };
+  } else if (waitIdx >= 0) {
+    status.textContent += ` (du er nr. ${waitIdx + 1} på ventelisten)`;
+    btn.textContent = 'Forlat venteliste';
+    btn.onclick = async () => {
+      await cancelBooking(session.id, me.id);
+      renderHome();
+    };
+  } else {
+    btn.textContent = booked.length < capacity ? 'Meld på' : 'Sett meg på venteliste';
+    btn.onclick = async () => {
+      await addBooking(session.id, me.id);
+      renderHome();
+    };
+  }
+  span.appendChild(btn);
+  return span;
+}
+
+/**
+ * Scoreboard rows, highest score first. Inactive participants only stay on
+ * the board while they have points. Archived seasons return their final
+ * standings.
+ * @param {Object} [season] Season to show, or all time when omitted
+ * @returns {Promise<Array>} { id, name, points, bestCount, badges, hideFromPublic }
+ */
+async function loadScoreboardEntries(season = null) {
+  if (season && season.archived && season.final) return season.final.standings;
   const participants = await loadParticipants();
-  const scores = await loadScores();
-  const list = participants.map(name => {
-    const entry = scores[name] || { points: 0, bestCount: 0 };
-    return { name, points: entry.points, bestCount: entry.bestCount };
+  const scores = await loadScores(season);
+  const achievements = computeAchievements(await loadAttendance());
+  const list = participants.filter(p => p.active || scores[p.id]).map(p => {
+    const entry = scores[p.id] || { points: 0, bestCount: 0 };
+    const badges = (achievements[p.id] || []).map(a => ({ icon: a.icon, label: a.label }));
+    return { id: p.id, name: p.name, points: entry.points, bestCount: entry.bestCount, badges, hideFromPublic: !!p.hideFromPublic };
   });
-  list.sort((a, b) => b.points - a.points);
+  return list.sort((a, b) => b.points - a.points);
+}
+
+// Scoreboard: show list sorted by points. Defaults to the current season;
+// `seasonId` is a season id or 'all' for all-time totals.
+async function renderScoreboard(seasonId) {
+  const container = document.getElementById('content');
+  container.innerHTML = '';
+  const seasons = await loadSeasons();
+  const season = seasonId === 'all' ? null
+    : seasons.find(s => s.id === seasonId) || (seasonId ? null : currentSeason(seasons));
+  if (seasons.length) {
+    const select = document.createElement('select');
+    select.className = 'season-select';
+    seasons.slice().reverse().forEach(s => {
+      const opt = document.createElement('option');
+      opt.value = s.id;
+      opt.textContent = s.name + (s.archived ? ' (arkivert)' : '');
+      select.appendChild(opt);
+    });
+    const allOpt = document.createElement('option');
+    allOpt.value = 'all';
+    allOpt.textContent = 'Alle sesonger';
+    select.appendChild(allOpt);
+    select.value = season ? season.id : 'all';
+    select.onchange = () => navigate('/scoreboard/' + select.value);
+    container.appendChild(select);
+  }
+  const list = await loadScoreboardEntries(season);
   const maxPoints = list.length ? list[0].points : 0;
+  const badgeHtml = p => p.badges.length
+    ? ` <span class="badges">${p.badges.map(b => `<span title="${b.label}">${b.icon}</span>`).join('')}</span>`
+    : '';
   const podium = document.createElement('div');
   podium.className = 'podium';
   list.slice(0, 3).forEach((p, idx) => {
     const item = document.createElement('div');
     item.className = 'podium-item';
-    item.innerHTML = `<span class="medal">${['🥇','🥈','🥉'][idx] || ''}</span><span class="name">${p.name}</span><span class="points">${p.points} poeng</span>`;
+    item.innerHTML = `<span class="medal">${['🥇','🥈','🥉'][idx] || ''}</span><span class="name">${escapeHtml(p.name)}</span>${badgeHtml(p)}<span class="points">${p.points} poeng</span>`;
     podium.appendChild(item);
   });
   container.appendChild(podium);
@@ -197,44 +769,71 @@ async function renderScoreboard() {
   table.innerHTML = `
     <thead><tr><th>Deltaker</th><th>Poeng</th><th>Beste innsats</th><th>Progresjon</th></tr></thead>
     <tbody>
-      ${list.map(p => `<tr><td>${p.name}</td><td>${p.points}</td><td>${p.bestCount}</td><td><div class="progress-bar"><div style="width:${maxPoints ? (p.points/maxPoints*100) : 0}%;"></div></div></td></tr>`).join('')}
+      ${list.map(p => `<tr><td><a href="#/progress/${encodeURIComponent(p.id)}">${escapeHtml(p.name)}</a>${badgeHtml(p)}</td><td>${p.points}</td><td>${p.bestCount}</td><td><div class="progress-bar"><div style="width:${maxPoints ? (p.points/maxPoints*100) : 0}%;"></div></div></td></tr>`).join('')}
     </tbody>`;
   container.appendChild(table);
-  // Shoutout: show last saved
-  const shoutout = await loadShoutout();
+  // Progress over the season for the leaders
+  const chartsTitle = document.createElement('h3');
+  chartsTitle.textContent = 'Utvikling';
+  container.appendChild(chartsTitle);
+  container.appendChild(await renderProgressCharts(season, list.slice(0, CHART_TOP_COUNT)));
+  // Shoutout: the last one saved, or the whole season's for earlier seasons
+  let shoutout = '';
+  if (season && season !== currentSeason(seasons)) {
+    const shoutouts = season.final ? season.final.shoutouts : seasonShoutouts(season, await loadShoutoutHistory());
+    shoutouts.forEach(entry => {
+      const p = document.createElement('p');
+      p.className = 'shoutout';
+      p.textContent = `${toDateKey(new Date(entry.sessionId || entry.timestamp))}: ${entry.text}`;
+      container.appendChild(p);
+    });
+  } else {
+    shoutout = await loadShoutout();
+  }
   if (shoutout) {
     const p = document.createElement('p');
     p.className = 'shoutout';
     p.textContent = `Shoutout: ${shoutout}`;
     container.appendChild(p);
   }
-  // Public link (generate scoreboard snapshot)
-  const shareBtn = document.createElement('button');
-  shareBtn.className = 'btn';
-  shareBtn.textContent = 'Kopier offentlig lenke';
-  shareBtn.addEventListener('click', () => {
-    const data = { participants: list, shoutout };
-    const encoded = btoa(JSON.stringify(data));
-    const url = `${location.origin}${location.pathname.replace(/\/[\w.-]*$/, '')}/public.html#${encoded}`;
-    navigator.clipboard.writeText(url).then(() => {
-      alert('Offentlig lenke kopiert til utklippstavlen');
-    });
-  });
-  container.appendChild(shareBtn);
+  // Public link (signed scoreboard snapshot) with privacy options per share
+  if (can('scoreboard.share')) {
+    const shareBtn = document.createElement('button');
+    shareBtn.className = 'btn';
+    shareBtn.textContent = 'Kopier offentlig lenke';
+    const shareOptions = renderShareOptions(list, shoutout);
+    shareBtn.onclick = () => shareOptions.classList.toggle('hidden');
+    container.appendChild(shareBtn);
+    const kioskBtn = document.createElement('button');
+    kioskBtn.className = 'btn';
+    kioskBtn.style.marginLeft = '0.5rem';
+    kioskBtn.textContent = 'Kioskmodus';
+    kioskBtn.title = 'Vis scoreboardet på en skjerm i salen';
+    kioskBtn.onclick = () => navigate('/kiosk');
+    container.appendChild(kioskBtn);
+    container.appendChild(shareOptions);
+  }
+  const csvBtn = document.createElement('button');
+  csvBtn.className = 'btn';
+  csvBtn.style.marginLeft = '0.5rem';
+  csvBtn.textContent = 'Last ned CSV';
+  csvBtn.onclick = () => {
+    const rows = [['Plass', 'Deltaker', 'Poeng', 'Beste innsats', 'Merker']];
+    list.forEach((p, idx) => rows.push([idx + 1, p.name, p.points, p.bestCount, p.badges.map(b => b.label).join(', ')]));
+    downloadCsv(rows, `ask4fitness-poeng-${toDateKey(new Date())}.csv`);
+  };
+  container.appendChild(csvBtn);
 }
 
-// Admin: manage participants, sessions, theme
+// Admin: manage participants, sessions, theme. Sections the current role
+// may not use are hidden.
 async function renderAdmin() {
-  if (!isAdmin) {
-    alert('Du har ikke tilgang til adminfunksjoner.');
-    return;
-  }
   const container = document.getElementById('content');
   container.innerHTML = '';
   const wrapper = document.createElement('div');
   wrapper.innerHTML = `
     <h2>Admin</h2>
-    <section id="admin-theme">
+    <section id="admin-theme" class="admin-section">
       <h3>Design</h3>
       <div class="form-group color-picker">
         <label for="accent-picker">Aksentfarge</label>
@@ -250,29 +849,76 @@ async function renderAdmin() {
       </div>
       <button id="save-theme" class="btn">Lagre design</button>
     </section>
-    <hr />
-    <section id="admin-participants">
+    <section id="admin-participants" class="admin-section">
       <h3>Deltakere</h3>
       <div class="form-group">
         <label for="new-participant">Legg til deltaker</label>
         <input id="new-participant" type="text" placeholder="Navn" />
+        <input id="new-participant-email" type="email" placeholder="E‑post (kobles til innlogging)" style="margin-top:0.5rem;" />
+        <input id="new-participant-phone" type="tel" placeholder="Telefon" style="margin-top:0.5rem;" />
         <button id="add-participant" class="btn" style="margin-top:0.5rem;">Legg til</button>
       </div>
+      <div class="form-group">
+        <label for="participant-csv">Importer fra CSV</label>
+        <input id="participant-csv" type="file" accept=".csv,text/csv" />
+        <div id="participant-import"></div>
+      </div>
       <ul id="participant-list"></ul>
+      <h4>Invitasjonskoder</h4>
+      <p>Når minst én kode er aktiv, må nye brukere oppgi en gyldig kode for å registrere seg.</p>
+      <div class="form-group">
+        <input id="new-invite-code" type="text" placeholder="Kode" />
+        <button id="generate-invite-code" class="btn">Lag tilfeldig kode</button>
+        <button id="add-invite-code" class="btn" style="margin-left:0.5rem;">Legg til kode</button>
+      </div>
+      <ul id="invite-code-list"></ul>
     </section>
-    <hr />
-    <section id="admin-sessions">
+    <section id="admin-sessions" class="admin-section">
       <h3>Timeplan</h3>
-      <p>Her kan du legge til eller redigere økter (mandag/onsdag). For å generere 8 uker, bruk knappen under.</p>
-      <button id="generate-sessions" class="btn">Generer 8 uker</button>
+      <div id="schedule-editor"></div>
+      <h4>Økter</h4>
       <ul id="session-list"></ul>
     </section>
-    <hr />
-    <section id="admin-score">
+    <section id="admin-seasons" class="admin-section">
+      <h3>Sesonger</h3>
+      <p>Scoreboardet viser poengene i sesongen som pågår. Arkiver en sesong når den er over, så tas sluttstillingen og shoutoutene vare på.</p>
+      <ul id="season-list"></ul>
+      <div class="form-group">
+        <input id="season-name" type="text" placeholder="Navn, f.eks. Høst 2026" />
+        <label>Start <input id="season-start" type="date" /></label>
+        <label>Slutt <input id="season-end" type="date" /></label>
+        <button id="add-season" class="btn">Legg til sesong</button>
+      </div>
+    </section>
+    <section id="admin-scoring" class="admin-section">
+      <h3>Poengregler</h3>
+      <div class="form-group">
+        <label for="rule-attendance">Poeng for oppmøte</label>
+        <input id="rule-attendance" type="number" min="0" />
+      </div>
+      <div class="form-group">
+        <label for="rule-best">Bonus for beste innsats</label>
+        <input id="rule-best" type="number" min="0" />
+      </div>
+      <h4>Streak-bonuser</h4>
+      <div id="streak-rules"></div>
+      <button id="add-streak-rule" class="btn">Legg til streak-bonus</button>
+      <h4>Bonus for enkeltøkter</h4>
+      <div id="session-bonus-rules"></div>
+      <div class="form-group" style="margin-top:0.5rem;">
+        <label for="bonus-session-select">Økt</label>
+        <select id="bonus-session-select"></select>
+        <input id="bonus-session-points" type="number" min="0" placeholder="Bonuspoeng" style="margin-top:0.5rem;" />
+        <button id="add-session-bonus" class="btn">Legg til bonus</button>
+      </div>
+      <button id="save-scoring" class="btn">Lagre poengregler</button>
+    </section>
+    <section id="admin-score" class="admin-section">
       <h3>Registrer økt</h3>
       <div class="form-group">
         <label for="session-select">Velg økt</label>
         <select id="session-select"></select>
+        <button id="export-attendance" class="btn" style="margin-top:0.5rem;">Last ned oppmøte (CSV)</button>
       </div>
       <div id="attendance"></div>
       <div class="form-group">
@@ -281,8 +927,56 @@ async function renderAdmin() {
       </div>
       <button id="save-attendance" class="btn">Lagre økt</button>
     </section>
+    <section id="admin-payment" class="admin-section">
+      <h3>Betaling</h3>
+      <div class="form-group">
+        <label for="payment-price">Stripe pris-ID</label>
+        <input id="payment-price" type="text" placeholder="price_..." />
+      </div>
+      <div class="form-group">
+        <label for="payment-weeks">Medlemskapets lengde (uker)</label>
+        <input id="payment-weeks" type="number" min="1" />
+      </div>
+      <button id="save-payment" class="btn">Lagre betaling</button>
+    </section>
+    <section id="admin-users" class="admin-section">
+      <h3>Brukere og roller</h3>
+      <p>Inviter en bruker med e‑post og rolle. Rollen gjelder når brukeren logger inn med den e‑postadressen.</p>
+      <div class="form-group">
+        <label for="invite-email">E‑post</label>
+        <input id="invite-email" type="email" />
+        <select id="invite-role" style="margin-top:0.5rem;">
+          ${ROLES.map(r => `<option value="${r.id}">${r.label}</option>`).join('')}
+        </select>
+        <button id="invite-user" class="btn">Inviter</button>
+      </div>
+      <ul id="user-list"></ul>
+    </section>
+    <section id="admin-sharing" class="admin-section">
+      <h3>Offentlige lenker</h3>
+      <p>Lenker til scoreboardet signeres, slik at den offentlige siden kan vise om innholdet er endret. Med Supabase henter public.html de offentlige nøklene selv når SUPABASE_URL og SUPABASE_KEY er fylt inn der. Ellers limer du inn den offentlige nøkkelen i TRUSTED_SNAPSHOT_KEYS i public.html. Den private nøkkelen tas ikke med i backupen.</p>
+      <textarea id="snapshot-public-key" rows="4" readonly placeholder="Ingen nøkkel ennå"></textarea>
+      <button id="generate-snapshot-key" class="btn">Lag ny signeringsnøkkel</button>
+    </section>
   `;
   container.appendChild(wrapper);
+  // Backup and restore (owner only)
+  wrapper.appendChild(renderBackupSection());
+  const sectionPermissions = {
+    'admin-theme': 'theme.manage',
+    'admin-participants': 'participants.manage',
+    'admin-sessions': 'schedule.manage',
+    'admin-seasons': 'seasons.manage',
+    'admin-scoring': 'scoring.manage',
+    'admin-score': 'attendance.register',
+    'admin-payment': 'payments.manage',
+    'admin-users': 'users.manage',
+    'admin-sharing': 'sharing.manage',
+    'admin-backup': 'backup.manage'
+  };
+  Object.keys(sectionPermissions).forEach(id => {
+    document.getElementById(id).classList.toggle('hidden', !can(sectionPermissions[id]));
+  });
   // Setup theme pickers
   document.getElementById('save-theme').onclick = saveThemeSettings;
   // Load theme saved
@@ -296,59 +990,131 @@ async function renderAdmin() {
     const listElem = document.getElementById('participant-list');
     const participants = await loadParticipants();
     listElem.innerHTML = '';
-    participants.forEach((name) => {
+    participants.forEach((participant) => {
       const li = document.createElement('li');
-      li.textContent = name;
-      const delBtn = document.createElement('button');
-      delBtn.textContent = 'Fjern';
-      delBtn.className = 'btn';
-      delBtn.style.marginLeft = '0.5rem';
-      delBtn.onclick = async () => {
-        await removeParticipant(name);
-        refreshParticipants();
-      };
-      li.appendChild(delBtn);
+      li.className = 'participant-item';
+      li.appendChild(renderParticipantEditor(participant, async () => {
+        await refreshParticipants();
+        refreshAttendanceList();
+      }));
       listElem.appendChild(li);
     });
   }
   document.getElementById('add-participant').onclick = async () => {
     const input = document.getElementById('new-participant');
+    const emailInput = document.getElementById('new-participant-email');
+    const phoneInput = document.getElementById('new-participant-phone');
     const name = input.value.trim();
     if (!name) return;
-    await addParticipant(name);
+    await addParticipant({ name, email: emailInput.value.trim(), phone: phoneInput.value.trim() });
     input.value = '';
+    emailInput.value = '';
+    phoneInput.value = '';
     refreshParticipants();
+    refreshAttendanceList();
+  };
+  document.getElementById('participant-csv').onchange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const rows = parseCsv(await readTextFile(file));
+    e.target.value = '';
+    if (rows.length < 2) {
+      alert('Fant ingen deltakere i filen. Første rad må inneholde kolonnenavn.');
+      return;
+    }
+    renderParticipantImport(document.getElementById('participant-import'), rows, () => {
+      refreshParticipants();
+      refreshAttendanceList();
+    });
   };
   refreshParticipants();
+  // Invite codes for self-service sign-up
+  async function refreshInviteCodes() {
+    const ul = document.getElementById('invite-code-list');
+    const codes = await loadInviteCodes();
+    ul.innerHTML = '';
+    codes.forEach(invite => {
+      const li = document.createElement('li');
+      li.textContent = invite.code + (invite.active ? '' : ' (deaktivert)');
+      const toggleBtn = document.createElement('button');
+      toggleBtn.className = 'btn';
+      toggleBtn.style.marginLeft = '0.5rem';
+      toggleBtn.textContent = invite.active ? 'Deaktiver' : 'Aktiver';
+      toggleBtn.onclick = async () => {
+        await saveInviteCode({ ...invite, active: !invite.active });
+        refreshInviteCodes();
+      };
+      li.appendChild(toggleBtn);
+      ul.appendChild(li);
+    });
+  }
+  document.getElementById('generate-invite-code').onclick = () => {
+    document.getElementById('new-invite-code').value = Math.random().toString(36).slice(2, 8).toUpperCase();
+  };
+  document.getElementById('add-invite-code').onclick = async () => {
+    const input = document.getElementById('new-invite-code');
+    const code = input.value.trim();
+    if (!code) return;
+    await saveInviteCode({ code, active: true, createdAt: new Date().toISOString() });
+    input.value = '';
+    refreshInviteCodes();
+  };
+  if (can('participants.manage')) refreshInviteCodes();
   // Sessions
   async function refreshSessions() {
     const ul = document.getElementById('session-list');
     const sessions = await loadSessions();
+    const schedule = await loadSchedule();
     ul.innerHTML = '';
     sessions.forEach(session => {
       const li = document.createElement('li');
-      li.textContent = session.label;
+      li.textContent = session.label + (session.location ? `, ${session.location}` : '');
+      if (session.cancelled) {
+        li.style.textDecoration = 'line-through';
+        li.title = session.note || 'Avlyst';
+      }
+      const cancelBtn = document.createElement('button');
+      cancelBtn.textContent = session.cancelled ? 'Gjenopprett' : 'Avlys';
+      cancelBtn.className = 'btn';
+      cancelBtn.style.marginLeft = '0.5rem';
+      cancelBtn.onclick = async () => {
+        await updateSession({ ...session, cancelled: !session.cancelled, note: '' });
+        sessionsChanged();
+      };
+      li.appendChild(cancelBtn);
+      const capacityInput = document.createElement('input');
+      capacityInput.type = 'number';
+      capacityInput.min = '1';
+      capacityInput.title = 'Antall plasser';
+      capacityInput.placeholder = String(sessionCapacity(session, schedule));
+      capacityInput.value = session.capacity || '';
+      capacityInput.style.width = '4.5rem';
+      capacityInput.style.marginLeft = '0.5rem';
+      capacityInput.onchange = async () => {
+        const capacity = parseInt(capacityInput.value) || null;
+        await updateSession({ ...session, capacity });
+        sessionsChanged();
+      };
+      li.appendChild(capacityInput);
       const delBtn = document.createElement('button');
       delBtn.textContent = 'Fjern';
       delBtn.className = 'btn';
       delBtn.style.marginLeft = '0.5rem';
       delBtn.onclick = async () => {
         await removeSession(session.id);
-        refreshSessions();
-        refreshAttendanceSelect();
+        sessionsChanged();
       };
       li.appendChild(delBtn);
       ul.appendChild(li);
     });
   }
-  document.getElementById('generate-sessions').onclick = async () => {
-    const generated = generateInitialSessions();
-    for (const s of generated) {
-      await addSession(s);
-    }
+  // Refresh session lists and republish the calendar feed after any change
+  function sessionsChanged() {
     refreshSessions();
     refreshAttendanceSelect();
-  };
+    publishCalendarFeed();
+  }
+  renderScheduleEditor(document.getElementById('schedule-editor'), sessionsChanged);
   refreshSessions();
   // Attendance & scores
   async function refreshAttendanceSelect() {
@@ -365,19 +1131,35 @@ async function renderAdmin() {
   }
   async function refreshAttendanceList() {
     const attendanceDiv = document.getElementById('attendance');
-    const participants = await loadParticipants();
-    const scores = await loadScores();
+    const sessionId = document.getElementById('session-select').value;
+    const participants = (await loadParticipants()).filter(p => p.active);
+    // Pre-fill from the ledger so re-opening a session edits the existing
+    // registration instead of adding to it
+    const records = sessionId ? await loadAttendance(sessionId) : [];
+    // Until the session is registered, tick everyone with a confirmed booking
+    let bookedIds = [];
+    if (sessionId && !records.length) {
+      const session = (await loadSessions()).find(s => s.id === sessionId);
+      const capacity = sessionCapacity(session, await loadSchedule());
+      bookedIds = splitBookings(await loadBookings(sessionId), capacity).booked.map(b => b.participant);
+    }
     attendanceDiv.innerHTML = '';
-    participants.forEach(name => {
+    participants.forEach(participant => {
+      const record = records.find(r => r.participant === participant.id) ||
+        (bookedIds.includes(participant.id) ? { attended: true, best: false } : null);
       const row = document.createElement('div');
+      row.className = 'attendance-row';
+      row.dataset.participant = participant.id;
       const label = document.createElement('label');
       const checkbox = document.createElement('input');
       checkbox.type = 'checkbox';
-      checkbox.dataset.participant = name;
+      checkbox.className = 'attended';
+      checkbox.checked = !!(record && record.attended);
       const bestBox = document.createElement('input');
       bestBox.type = 'checkbox';
-      bestBox.dataset.participant = name;
-      label.textContent = name;
+      bestBox.className = 'best';
+      bestBox.checked = !!(record && record.best);
+      label.textContent = participant.name;
       label.style.marginRight = '0.5rem';
       row.appendChild(checkbox);
       row.appendChild(label);
@@ -387,529 +1169,4986 @@ async function renderAdmin() {
     });
   }
   document.getElementById('session-select').onchange = refreshAttendanceList;
+  document.getElementById('export-attendance').onclick = () => {
+    const sessionId = document.getElementById('session-select').value;
+    if (sessionId) exportSessionAttendance(sessionId);
+  };
   refreshAttendanceSelect();
+  // Seasons
+  async function refreshSeasons() {
+    const ul = document.getElementById('season-list');
+    const seasons = await loadSeasons();
+    const running = currentSeason(seasons);
+    ul.innerHTML = '';
+    seasons.forEach(season => {
+      const li = document.createElement('li');
+      const status = season.archived ? ' (arkivert)' : season === running ? ' (pågår)' : '';
+      li.textContent = `${season.name}: ${season.start} – ${season.end}${status}`;
+      if (!season.archived) {
+        const archiveBtn = document.createElement('button');
+        archiveBtn.className = 'btn';
+        archiveBtn.style.marginLeft = '0.5rem';
+        archiveBtn.textContent = 'Arkiver';
+        archiveBtn.onclick = async () => {
+          if (!confirm(`Arkivere ${season.name}? Sluttstillingen lagres slik den er nå.`)) return;
+          await archiveSeason(season);
+          refreshSeasons();
+        };
+        li.appendChild(archiveBtn);
+      }
+      const delBtn = document.createElement('button');
+      delBtn.className = 'btn';
+      delBtn.style.marginLeft = '0.5rem';
+      delBtn.textContent = 'Slett';
+      delBtn.onclick = async () => {
+        if (!confirm(`Slette ${season.name}? Oppmøtet beholdes, men en arkivert sluttstilling går tapt.`)) return;
+        await removeSeason(season.id);
+        refreshSeasons();
+      };
+      li.appendChild(delBtn);
+      ul.appendChild(li);
+    });
+    // Suggest the next cycle: from the day after the last season, as long
+    // as the membership period
+    const last = seasons[seasons.length - 1];
+    const start = last ? new Date(last.end + 'T12:00:00') : new Date();
+    if (last) start.setDate(start.getDate() + 1);
+    const startInput = document.getElementById('season-start');
+    const endInput = document.getElementById('season-end');
+    const weeks = (await loadPaymentSettings()).weeks;
+    const suggestEnd = () => {
+      const end = new Date(startInput.value + 'T12:00:00');
+      end.setDate(end.getDate() + weeks * 7 - 1);
+      endInput.value = toDateKey(end);
+    };
+    startInput.value = toDateKey(start);
+    startInput.onchange = suggestEnd;
+    suggestEnd();
+  }
+  if (can('seasons.manage')) {
+    document.getElementById('add-season').onclick = async () => {
+      const nameInput = document.getElementById('season-name');
+      const start = document.getElementById('season-start').value;
+      const end = document.getElementById('season-end').value;
+      if (!nameInput.value.trim() || !start || !end) return;
+      if (end < start) {
+        alert('Sesongen kan ikke slutte før den starter.');
+        return;
+      }
+      await saveSeason({ id: generateId(), name: nameInput.value.trim(), start, end, archived: false, final: null });
+      nameInput.value = '';
+      refreshSeasons();
+    };
+    refreshSeasons();
+  }
+  // Scoring rules: edited in memory and saved together
+  const rules = await loadScoringRules();
+  document.getElementById('rule-attendance').value = rules.attendancePoints;
+  document.getElementById('rule-best').value = rules.bestEffortPoints;
+  function refreshStreakRules() {
+    const div = document.getElementById('streak-rules');
+    div.innerHTML = '';
+    rules.streakBonuses.forEach((rule, idx) => {
+      const row = document.createElement('div');
+      row.style.marginBottom = '0.5rem';
+      row.innerHTML = `
+        <input type="number" min="2" placeholder="Økter på rad" value="${rule.length}" style="width:30%;" />
+        <input type="number" min="0" placeholder="Bonuspoeng" value="${rule.points}" style="width:30%;margin-left:0.5rem;" />
+        <button class="btn" style="margin-left:0.5rem;">Fjern</button>
+      `;
+      const inputs = row.querySelectorAll('input');
+      inputs[0].oninput = (e) => { rule.length = parseInt(e.target.value) || 0; };
+      inputs[1].oninput = (e) => { rule.points = parseInt(e.target.value) || 0; };
+      row.querySelector('button').onclick = () => {
+        rules.streakBonuses.splice(idx, 1);
+        refreshStreakRules();
+      };
+      div.appendChild(row);
+    });
+  }
+  async function refreshSessionBonuses() {
+    const div = document.getElementById('session-bonus-rules');
+    const select = document.getElementById('bonus-session-select');
+    const sessions = await loadSessions();
+    div.innerHTML = '';
+    select.innerHTML = '';
+    sessions.forEach(s => {
+      const opt = document.createElement('option');
+      opt.value = s.id;
+      opt.textContent = s.label;
+      select.appendChild(opt);
+    });
+    Object.keys(rules.sessionBonuses).forEach(sessionId => {
+      const session = sessions.find(s => s.id === sessionId);
+      const row = document.createElement('div');
+      row.textContent = `${session ? session.label : sessionId}: +${rules.sessionBonuses[sessionId]} poeng`;
+      const delBtn = document.createElement('button');
+      delBtn.textContent = 'Fjern';
+      delBtn.className = 'btn';
+      delBtn.style.marginLeft = '0.5rem';
+      delBtn.onclick = () => {
+        delete rules.sessionBonuses[sessionId];
+        refreshSessionBonuses();
+      };
+      row.appendChild(delBtn);
+      div.appendChild(row);
+    });
+  }
+  refreshStreakRules();
+  refreshSessionBonuses();
+  document.getElementById('add-streak-rule').onclick = () => {
+    rules.streakBonuses.push({ length: 4, points: 1 });
+    refreshStreakRules();
+  };
+  document.getElementById('add-session-bonus').onclick = () => {
+    const sessionId = document.getElementById('bonus-session-select').value;
+    const points = parseInt(document.getElementById('bonus-session-points').value) || 0;
+    if (!sessionId || !points) return;
+    rules.sessionBonuses[sessionId] = points;
+    document.getElementById('bonus-session-points').value = '';
+    refreshSessionBonuses();
+  };
+  document.getElementById('save-scoring').onclick = async () => {
+    rules.attendancePoints = parseInt(document.getElementById('rule-attendance').value) || 0;
+    rules.bestEffortPoints = parseInt(document.getElementById('rule-best').value) || 0;
+    rules.streakBonuses = rules.streakBonuses.filter(r => r.length > 1 && r.points > 0);
+    await saveScoringRules(rules);
+    refreshStreakRules();
+    alert('Poengreglene er lagret. Poengsummene er regnet ut på nytt.');
+  };
+  // Payment settings (owner only)
+  if (can('payments.manage')) {
+    const payment = await loadPaymentSettings();
+    document.getElementById('payment-price').value = payment.priceId;
+    document.getElementById('payment-weeks').value = payment.weeks;
+    document.getElementById('save-payment').onclick = async () => {
+      await savePaymentSettings({
+        priceId: document.getElementById('payment-price').value.trim(),
+        weeks: parseInt(document.getElementById('payment-weeks').value) || 8
+      });
+      alert('Betalingsinnstillingene er lagret.');
+    };
+  }
+  // Users and roles (owner only)
+  async function refreshUsers() {
+    const ul = document.getElementById('user-list');
+    const profiles = await loadProfiles();
+    ul.innerHTML = '';
+    profiles.forEach(profile => {
+      const li = document.createElement('li');
+      li.textContent = profile.email + (profile.userId ? '' : ' (invitert)');
+      const select = document.createElement('select');
+      select.style.marginLeft = '0.5rem';
+      ROLES.forEach(r => {
+        const opt = document.createElement('option');
+        opt.value = r.id;
+        opt.textContent = r.label;
+        select.appendChild(opt);
+      });
+      select.value = profile.role;
+      // Owners cannot demote themselves and lock everyone out
+      select.disabled = profile.userId === currentSession.user.id;
+      select.onchange = async () => {
+        await saveProfile({ ...profile, role: select.value });
+        refreshUsers();
+      };
+      li.appendChild(select);
+      ul.appendChild(li);
+    });
+  }
+  if (can('users.manage')) {
+    document.getElementById('invite-user').onclick = async () => {
+      const email = document.getElementById('invite-email').value.trim().toLowerCase();
+      const role = document.getElementById('invite-role').value;
+      if (!email) return;
+      const profiles = await loadProfiles();
+      const existing = profiles.find(p => p.email === email);
+      await saveProfile(existing ? { ...existing, role } : { id: generateId(), userId: null, email, role });
+      document.getElementById('invite-email').value = '';
+      refreshUsers();
+    };
+    refreshUsers();
+  }
+  // Signing key for public links (owner only)
+  if (can('sharing.manage')) {
+    const keyField = document.getElementById('snapshot-public-key');
+    const showKey = key => { keyField.value = key ? JSON.stringify(key.publicKey) : ''; };
+    showKey(await loadSnapshotKey());
+    document.getElementById('generate-snapshot-key').onclick = async () => {
+      const update = supabase ? 'eldre lenker verifiseres fortsatt' : 'public.html må oppdateres med den nye offentlige nøkkelen';
+      if (keyField.value && !confirm(`Lage en ny nøkkel? Nye lenker signeres med den, og ${update}.`)) return;
+      showKey(await generateSnapshotKey());
+    };
+  }
   document.getElementById('save-attendance').onclick = async () => {
     const sessionId = document.getElementById('session-select').value;
+    if (!sessionId) return;
     const shout = document.getElementById('shoutout-input').value.trim();
-    const checkboxes = document.querySelectorAll('#attendance input[type="checkbox"]');
-    const bestWinners = [];
-    const attended = [];
-    checkboxes.forEach(box => {
-      if (box.checked) {
-        if (box.nextSibling.nodeType === 3) {
-          // skip label node
-        }
-      }
-    });
-    // We need to pair: first checkbox per participant is attendance, second is best
-    for (let i = 0; i < checkboxes.length; i += 2) {
-      const attend = checkboxes[i];
-      const best = checkboxes[i+1];
-      const name = attend.dataset.participant;
-      if (attend.checked) attended.push(name);
-      if (best.checked) bestWinners.push(name);
-    }
-    // Update scores
-    const scores = await loadScores();
-    attended.forEach(name => {
-      if (!scores[name]) scores[name] = { points: 0, bestCount: 0 };
-      scores[name].points += 1;
+    const timestamp = new Date().toISOString();
+    const records = [];
+    document.querySelectorAll('#attendance .attendance-row').forEach(row => {
+      records.push({
+        sessionId,
+        participant: row.dataset.participant,
+        attended: row.querySelector('input.attended').checked,
+        best: row.querySelector('input.best').checked,
+        timestamp
+      });
     });
-    bestWinners.forEach(name => {
-      if (!scores[name]) scores[name] = { points: 0, bestCount: 0 };
-      scores[name].points += 1;
-      scores[name].bestCount += 1;
+    // Announce badges unlocked by this registration in the shoutout area
+    const before = computeAchievements(await loadAttendance());
+    await saveSessionAttendance(sessionId, records);
+    const after = computeAchievements(await loadAttendance());
+    const participants = await loadParticipants();
+    const unlocked = [];
+    Object.keys(after).forEach(id => {
+      const participant = participants.find(p => p.id === id);
+      after[id].forEach(a => {
+        if (participant && !(before[id] || []).some(b => b.id === a.id)) {
+          unlocked.push(`${participant.name} låste opp ${a.icon} ${a.label}!`);
+        }
+      });
     });
-    await saveScores(scores);
-    await saveShoutout(shout);
+    await saveShoutout([shout].concat(unlocked).filter(Boolean).join(' '), sessionId);
     alert('Økten er lagret!');
-    renderScoreboard();
+    navigate('/scoreboard');
   };
 }
 
-// ---- Data Layer ----
-
-async function loadParticipants() {
-  if (supabase) {
-    const { data, error } = await supabase.from('participants').select('name');
-    if (error) {
-      console.error(error);
-    }
-    return data ? data.map(r => r.name) : [];
-  }
-  const stored = localStorage.getItem(LS_PARTICIPANTS);
-  return stored ? JSON.parse(stored) : [];
-}
-
-async function addParticipant(name) {
-  if (supabase) {
-    await supabase.from('participants').insert({ name });
-  } else {
-    const list = await loadParticipants();
-    if (!list.includes(name)) {
-      list.push(name);
-      localStorage.setItem(LS_PARTICIPANTS, JSON.stringify(list));
+/**
+ * Render the schedule editor inside the admin panel: recurring rules,
+ * exceptions (holidays and cancellations) and one-off sessions.
+ * @param {HTMLElement} root Element to render into
+ * @param {Function} onSessionsChanged Called after sessions were changed
+ */
+async function renderScheduleEditor(root, onSessionsChanged) {
+  const schedule = await loadSchedule();
+  root.innerHTML = `
+    <p>Faste økter gjentas ukentlig fra startdato, enten et antall uker eller til en sluttdato. Unntak (ferier og avlysninger) gjelder hele dagen.</p>
+    <div id="schedule-rules"></div>
+    <button id="add-schedule-rule" class="btn">Legg til fast økt</button>
+    <h4>Unntak</h4>
+    <ul id="schedule-exceptions"></ul>
+    <div class="form-group">
+      <label for="exception-date">Dato</label>
+      <input id="exception-date" type="date" />
+      <input id="exception-reason" type="text" placeholder="Årsak, f.eks. Høstferie" style="margin-top:0.5rem;" />
+      <button id="add-exception" class="btn">Legg til unntak</button>
+    </div>
+    <button id="save-schedule" class="btn">Lagre timeplan og generer økter</button>
+    <h4>Enkeltøkt</h4>
+    <div class="form-group">
+      <label for="oneoff-date">Dato og tid</label>
+      <input id="oneoff-date" type="datetime-local" />
+      <input id="oneoff-duration" type="number" min="0" placeholder="Varighet (min)" value="60" style="margin-top:0.5rem;" />
+      <input id="oneoff-location" type="text" placeholder="Sted" style="margin-top:0.5rem;" />
+      <input id="oneoff-capacity" type="number" min="1" placeholder="Antall plasser" value="${DEFAULT_CAPACITY}" style="margin-top:0.5rem;" />
+      <button id="add-oneoff" class="btn">Legg til enkeltøkt</button>
+    </div>
+  `;
+  function refreshRules() {
+    const div = root.querySelector('#schedule-rules');
+    div.innerHTML = '';
+    schedule.rules.forEach((rule, idx) => {
+      const row = document.createElement('div');
+      row.className = 'schedule-rule';
+      row.innerHTML = `
+        <div class="weekday-picker">
+          ${WEEKDAYS.map(w => `<label><input type="checkbox" value="${w.day}" ${rule.weekdays.includes(w.day) ? 'checked' : ''} /> ${w.short}</label>`).join('')}
+        </div>
+        <div class="form-group">
+          <label>Klokkeslett og varighet (min)</label>
+          <input type="time" class="rule-time" value="${rule.time}" />
+          <input type="number" class="rule-duration" min="0" value="${rule.duration}" style="margin-top:0.5rem;" />
+        </div>
+        <div class="form-group">
+          <label>Sted og antall plasser</label>
+          <input type="text" class="rule-location" value="${rule.location || ''}" />
+          <input type="number" class="rule-capacity" min="1" value="${rule.capacity || DEFAULT_CAPACITY}" style="margin-top:0.5rem;" />
+        </div>
+        <div class="form-group">
+          <label>Startdato, antall uker eller sluttdato</label>
+          <input type="date" class="rule-start" value="${rule.startDate}" />
+          <input type="number" class="rule-weeks" min="1" placeholder="Uker" value="${rule.weeks || ''}" style="margin-top:0.5rem;" />
+          <input type="date" class="rule-end" value="${rule.endDate || ''}" style="margin-top:0.5rem;" />
+        </div>
+        <button class="btn">Fjern</button>
+      `;
+      row.querySelectorAll('.weekday-picker input').forEach(box => {
+        box.onchange = () => {
+          rule.weekdays = Array.from(row.querySelectorAll('.weekday-picker input:checked')).map(b => parseInt(b.value));
+        };
+      });
+      row.querySelector('.rule-time').oninput = (e) => { rule.time = e.target.value; };
+      row.querySelector('.rule-duration').oninput = (e) => { rule.duration = parseInt(e.target.value) || 0; };
+      row.querySelector('.rule-location').oninput = (e) => { rule.location = e.target.value.trim(); };
+      row.querySelector('.rule-capacity').oninput = (e) => { rule.capacity = parseInt(e.target.value) || DEFAULT_CAPACITY; };
+      row.querySelector('.rule-start').oninput = (e) => { rule.startDate = e.target.value; };
+      row.querySelector('.rule-weeks').oninput = (e) => { rule.weeks = parseInt(e.target.value) || 0; };
+      row.querySelector('.rule-end').oninput = (e) => { rule.endDate = e.target.value; };
+      row.querySelector('button').onclick = () => {
+        schedule.rules.splice(idx, 1);
+        refreshRules();
+      };
+      div.appendChild(row);
+    });
+  }
+  function refreshExceptions() {
+    const ul = root.querySelector('#schedule-exceptions');
+    ul.innerHTML = '';
+    schedule.exceptions.forEach((exception, idx) => {
+      const li = document.createElement('li');
+      li.textContent = `${exception.date}${exception.reason ? `: ${exception.reason}` : ''}`;
+      const delBtn = document.createElement('button');
+      delBtn.textContent = 'Fjern';
+      delBtn.className = 'btn';
+      delBtn.style.marginLeft = '0.5rem';
+      delBtn.onclick = () => {
+        schedule.exceptions.splice(idx, 1);
+        refreshExceptions();
+      };
+      li.appendChild(delBtn);
+      ul.appendChild(li);
+    });
+  }
+  refreshRules();
+  refreshExceptions();
+  root.querySelector('#add-schedule-rule').onclick = () => {
+    schedule.rules.push({ id: Date.now().toString(), weekdays: [], time: '18:00', duration: 60, location: '', capacity: DEFAULT_CAPACITY, startDate: toDateKey(new Date()), weeks: 8, endDate: '' });
+    refreshRules();
+  };
+  root.querySelector('#add-exception').onclick = () => {
+    const date = root.querySelector('#exception-date').value;
+    const reason = root.querySelector('#exception-reason').value.trim();
+    if (!date || schedule.exceptions.some(e => e.date === date)) return;
+    schedule.exceptions.push({ date, reason });
+    schedule.exceptions.sort((a, b) => a.date.localeCompare(b.date));
+    root.querySelector('#exception-date').value = '';
+    root.querySelector('#exception-reason').value = '';
+    refreshExceptions();
+  };
+  root.querySelector('#save-schedule').onclick = async () => {
+    await saveSchedule(schedule);
+    const result = await syncScheduleSessions(schedule);
+    alert(`Timeplanen er lagret. ${result.added} nye, ${result.updated} endrede og ${result.removed} fjernede økter.`);
+    onSessionsChanged();
+  };
+  root.querySelector('#add-oneoff').onclick = async () => {
+    const value = root.querySelector('#oneoff-date').value;
+    if (!value) return;
+    const session = makeSession(new Date(value), {
+      duration: parseInt(root.querySelector('#oneoff-duration').value) || 60,
+      location: root.querySelector('#oneoff-location').value.trim(),
+      capacity: parseInt(root.querySelector('#oneoff-capacity').value) || DEFAULT_CAPACITY,
+      oneOff: true
+    });
+    const sessions = await loadSessions(true);
+    const current = sessions.find(s => s.id === session.id);
+    if (current && !current.removed) {
+      alert('Det finnes allerede en økt på dette tidspunktet.');
+      return;
+    }
+    // A removed session at the same time is brought back as the new one
+    if (current) await updateSession({ ...current, ...session, ruleId: null, cancelled: false, note: '', removed: false, manuallyRemoved: false });
+    else await addSession(session);
+    root.querySelector('#oneoff-date').value = '';
+    onSessionsChanged();
+  };
+}
+
+/**
+ * Render one participant in the admin list with inline editing of name,
+ * contact details, join date and status, plus the link to a login.
+ * @param {Object} participant Participant to edit
+ * @param {Function} onChange Called after the participant was saved or deleted
+ * @returns {HTMLElement}
+ */
+function renderParticipantEditor(participant, onChange) {
+  const div = document.createElement('div');
+  const summary = document.createElement('span');
+  summary.textContent = participant.name +
+    (participant.email ? ` (${participant.email})` : '') +
+    (participant.active ? '' : ' – inaktiv') +
+    (participant.userId ? ' 🔗' : '');
+  summary.title = participant.userId ? 'Koblet til innlogging' : 'Ikke koblet til innlogging';
+  div.appendChild(summary);
+  const form = document.createElement('div');
+  form.className = 'participant-form hidden';
+  form.innerHTML = `
+    <input type="text" class="p-name" placeholder="Navn" />
+    <input type="email" class="p-email" placeholder="E‑post" />
+    <input type="tel" class="p-phone" placeholder="Telefon" />
+    <label>Startdato <input type="date" class="p-joined" /></label>
+    <label><input type="checkbox" class="p-active" /> Aktiv</label>
+    <label><input type="checkbox" class="p-hide-public" /> Skjul på offentlige lenker</label>
+  `;
+  form.querySelector('.p-name').value = participant.name;
+  form.querySelector('.p-email').value = participant.email || '';
+  form.querySelector('.p-phone').value = participant.phone || '';
+  form.querySelector('.p-joined').value = participant.joinedAt || '';
+  form.querySelector('.p-active').checked = participant.active;
+  form.querySelector('.p-hide-public').checked = !!participant.hideFromPublic;
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'btn';
+  saveBtn.textContent = 'Lagre';
+  saveBtn.onclick = async () => {
+    const name = form.querySelector('.p-name').value.trim();
+    if (!name) return;
+    await updateParticipant({
+      ...participant,
+      name,
+      email: form.querySelector('.p-email').value.trim(),
+      phone: form.querySelector('.p-phone').value.trim(),
+      joinedAt: form.querySelector('.p-joined').value,
+      active: form.querySelector('.p-active').checked,
+      hideFromPublic: form.querySelector('.p-hide-public').checked
+    });
+    onChange();
+  };
+  form.appendChild(saveBtn);
+  if (participant.userId) {
+    const unlinkBtn = document.createElement('button');
+    unlinkBtn.className = 'btn';
+    unlinkBtn.style.marginLeft = '0.5rem';
+    unlinkBtn.textContent = 'Fjern kobling til innlogging';
+    unlinkBtn.onclick = async () => {
+      await updateParticipant({ ...participant, userId: null });
+      onChange();
+    };
+    form.appendChild(unlinkBtn);
+  }
+  const delBtn = document.createElement('button');
+  delBtn.className = 'btn';
+  delBtn.style.marginLeft = '0.5rem';
+  delBtn.textContent = 'Slett';
+  delBtn.onclick = async () => {
+    if (!confirm(`Slette ${participant.name}? Historikken beholdes, men vises ikke lenger. Vurder å sette deltakeren som inaktiv i stedet.`)) return;
+    await removeParticipant(participant.id);
+    onChange();
+  };
+  form.appendChild(delBtn);
+  const editBtn = document.createElement('button');
+  editBtn.className = 'btn';
+  editBtn.style.marginLeft = '0.5rem';
+  editBtn.textContent = 'Rediger';
+  editBtn.onclick = () => form.classList.toggle('hidden');
+  div.appendChild(editBtn);
+  div.appendChild(form);
+  return div;
+}
+
+// ---- Data Layer ----
+
+/**
+ * Whether the logged-in user's role allows an action.
+ * @param {string} action Key of PERMISSIONS
+ * @returns {boolean}
+ */
+function can(action) {
+  return !!currentRole && (PERMISSIONS[action] || []).includes(currentRole);
+}
+
+// Guard for data-layer writes; throws when the role lacks the permission
+function requirePermission(action) {
+  if (!can(action)) {
+    throw new Error(`Du har ikke tilgang til denne handlingen (${action}).`);
+  }
+}
+
+async function loadProfiles() {
+  if (supabase) {
+    const { data, error } = await remoteRead('profiles', supabase.from('profiles').select());
+    if (error) console.error(error);
+    return data || [];
+  }
+  const stored = localStorage.getItem(LS_PROFILES);
+  return stored ? JSON.parse(stored) : [];
+}
+
+async function saveProfile(profile) {
+  requirePermission('users.manage');
+  await writeProfile(profile);
+}
+
+// Unchecked write, used when a user claims their own invite at login
+async function writeProfile(profile) {
+  if (supabase) {
+    const { error } = await remoteWrite({ table: 'profiles', action: 'upsert', values: profile, options: { onConflict: 'id' } });
+    if (error) console.error(error);
+  } else {
+    const profiles = (await loadProfiles()).filter(p => p.id !== profile.id);
+    profiles.push(profile);
+    localStorage.setItem(LS_PROFILES, JSON.stringify(profiles));
+  }
+}
+
+// Invite codes gating self-service sign-up. Without Supabase there is no
+// sign-up, so the local list only serves the admin panel.
+
+async function loadInviteCodes() {
+  if (supabase) {
+    const { data, error } = await supabase.from('invite_codes').select();
+    if (error) console.error(error);
+    return data || [];
+  }
+  const stored = localStorage.getItem(LS_INVITE_CODES);
+  return stored ? JSON.parse(stored) : [];
+}
+
+async function saveInviteCode(invite) {
+  requirePermission('participants.manage');
+  if (supabase) {
+    const { error } = await remoteWrite({ table: 'invite_codes', action: 'upsert', values: invite, options: { onConflict: 'code' } });
+    if (error) console.error(error);
+  } else {
+    const codes = (await loadInviteCodes()).filter(c => c.code !== invite.code);
+    codes.push(invite);
+    localStorage.setItem(LS_INVITE_CODES, JSON.stringify(codes));
+  }
+}
+
+// PostgREST and Postgres error codes for a function that does not exist
+const MISSING_FUNCTION_ERRORS = ['PGRST202', '42883'];
+
+/**
+ * Ask the database whether sign-up may proceed with this code. Only a
+ * project without the RPC function is ungated; any other error, such as a
+ * lost connection, stops the sign-up. The sign-up trigger described at the
+ * top of this file checks the code again on the server.
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+async function checkInviteCode(code) {
+  const { data, error } = await supabase.rpc('check_invite_code', { code });
+  if (error) {
+    console.error(error);
+    if (MISSING_FUNCTION_ERRORS.includes(error.code)) return true;
+    throw new Error('Kunne ikke sjekke invitasjonskoden. Prøv igjen om litt.');
+  }
+  return !!data;
+}
+
+/**
+ * Resolve the role of the logged-in user from their profile. An invite made
+ * for the user's email is claimed on first login; users without a profile
+ * get one as participant.
+ * @returns {Promise<string>} Role id
+ */
+async function loadCurrentRole() {
+  const user = currentSession.user;
+  const email = (user.email || '').toLowerCase();
+  const profiles = await loadProfiles();
+  let profile = profiles.find(p => p.userId === user.id);
+  if (!profile) {
+    profile = profiles.find(p => !p.userId && p.email === email);
+    profile = profile ? { ...profile, userId: user.id } : { id: generateId(), userId: user.id, email, role: 'participant' };
+    await writeProfile(profile);
+  }
+  return profile.role;
+}
+
+// Unique id for new records. Falls back to time + random where
+// crypto.randomUUID is unavailable (older browsers, insecure origins).
+function generateId() {
+  if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * Build a participant with defaults for missing fields.
+ * @param {Object} fields At least a name
+ * @returns {Object} Participant
+ */
+function createParticipant(fields) {
+  return {
+    id: generateId(),
+    name: '',
+    email: '',
+    phone: '',
+    joinedAt: toDateKey(new Date()),
+    active: true,
+    userId: null,
+    hideFromPublic: false,
+    ...fields
+  };
+}
+
+/**
+ * The participant the logged-in user books and chats as, matched on the
+ * linked auth user id. Linking happens at login, see
+ * ensureParticipantForUser(), so this only reads.
+ * @returns {Object|null}
+ */
+async function getCurrentParticipant() {
+  if (!currentSession) return null;
+  const participants = await loadParticipants();
+  return participants.find(p => p.userId === currentSession.user.id) || null;
+}
+
+/**
+ * Run once per login. Links a participant with the user's email and no
+ * link yet to the user, and gives a participant-role user without one a
+ * participant made from the name given at sign-up.
+ */
+async function ensureParticipantForUser() {
+  if (await getCurrentParticipant()) return;
+  const user = currentSession.user;
+  const email = (user.email || '').toLowerCase();
+  const match = (await loadParticipants()).find(p => !p.userId && p.email && p.email.toLowerCase() === email);
+  if (match) {
+    await writeParticipant({ ...match, userId: user.id });
+    return;
+  }
+  if (currentRole !== 'participant') return;
+  const name = (user.user_metadata && user.user_metadata.name) || user.email.split('@')[0];
+  await insertParticipant(createParticipant({ name, email: user.email, userId: user.id }));
+}
+
+// Look up a participant by id for a route, like withWorkout()
+async function withParticipant(id, render) {
+  const participant = (await loadParticipants()).find(p => p.id === id);
+  if (!participant) {
+    const container = document.getElementById('content');
+    container.innerHTML = '<h2>Fant ikke deltakeren</h2><p>Deltakeren finnes ikke lenger.</p>';
+    return;
+  }
+  render(participant);
+}
+
+async function loadParticipants() {
+  if (supabase) {
+    // Visitors without a login (kiosk, scoreboard) only see public columns
+    const table = currentSession ? 'participants' : 'public_participants';
+    const { data, error } = await remoteRead(table, supabase.from(table).select());
+    if (error) {
+      console.error(error);
+    }
+    // Rows from before participants had ids are fixed by migrateRemoteData();
+    // until then they are keyed by name, like the records that refer to them
+    return data ? data.map(r => createParticipant({ ...r, id: r.id || r.name, active: r.active !== false })) : [];
+  }
+  const stored = localStorage.getItem(LS_PARTICIPANTS);
+  return stored ? JSON.parse(stored) : [];
+}
+
+async function addParticipant(fields) {
+  requirePermission('participants.manage');
+  return insertParticipant(createParticipant(fields));
+}
+
+// Unchecked insert, used when a new user gets their own participant
+async function insertParticipant(participant) {
+  if (supabase) {
+    await remoteWrite({ table: 'participants', action: 'insert', values: participant });
+  } else {
+    const list = await loadParticipants();
+    list.push(participant);
+    localStorage.setItem(LS_PARTICIPANTS, JSON.stringify(list));
+  }
+  return participant;
+}
+
+async function updateParticipant(participant) {
+  requirePermission('participants.manage');
+  await writeParticipant(participant);
+}
+
+// Unchecked write, used when a user's login is linked to their participant
+async function writeParticipant(participant) {
+  if (supabase) {
+    await remoteWrite({ table: 'participants', action: 'update', values: participant, match: { id: participant.id } });
+  } else {
+    const list = await loadParticipants();
+    localStorage.setItem(LS_PARTICIPANTS, JSON.stringify(list.map(p => p.id === participant.id ? participant : p)));
+  }
+}
+
+async function removeParticipant(id) {
+  requirePermission('participants.manage');
+  if (supabase) {
+    await remoteWrite({ table: 'participants', action: 'delete', match: { id } });
+  } else {
+    let list = await loadParticipants();
+    list = list.filter(p => p.id !== id);
+    localStorage.setItem(LS_PARTICIPANTS, JSON.stringify(list));
+  }
+}
+
+/**
+ * Upgrade localStorage data written by older versions. Version 1 stored
+ * participants as bare names and keyed scores, bookings, attendance and
+ * messages by name; version 2 uses participant entities and ids. Names that
+ * only appear in history become inactive participants so nothing is lost.
+ */
+function migrateLocalData() {
+  const version = parseInt(localStorage.getItem(LS_SCHEMA_VERSION)) || 1;
+  if (version >= SCHEMA_VERSION) return;
+  const read = (key, fallback) => {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  };
+  const participants = read(LS_PARTICIPANTS, []).map(p => (
+    typeof p === 'string' ? createParticipant({ name: p, joinedAt: '' }) : p
+  ));
+  const idFor = name => {
+    let participant = participants.find(p => p.name === name);
+    if (!participant) {
+      participant = createParticipant({ name, joinedAt: '', active: false });
+      participants.push(participant);
+    }
+    return participant.id;
+  };
+  const attendance = read(LS_ATTENDANCE, []).map(r => ({ ...r, participant: idFor(r.participant) }));
+  const bookings = read(LS_BOOKINGS, []).map(b => ({ ...b, participant: idFor(b.participant) }));
+  const baseline = read(LS_SCORES, {});
+  const scores = {};
+  Object.keys(baseline).forEach(name => { scores[idFor(name)] = baseline[name]; });
+  const oldMessages = read(LS_MESSAGES, {});
+  const messages = {};
+  Object.keys(oldMessages).forEach(name => {
+    const id = idFor(name);
+    messages[id] = oldMessages[name].map(m => ({ ...m, to: m.to === name ? id : m.to }));
+  });
+  localStorage.setItem(LS_PARTICIPANTS, JSON.stringify(participants));
+  localStorage.setItem(LS_ATTENDANCE, JSON.stringify(attendance));
+  localStorage.setItem(LS_BOOKINGS, JSON.stringify(bookings));
+  localStorage.setItem(LS_SCORES, JSON.stringify(scores));
+  localStorage.setItem(LS_MESSAGES, JSON.stringify(messages));
+  localStorage.setItem(LS_SCHEMA_VERSION, String(SCHEMA_VERSION));
+}
+
+/**
+ * The Supabase counterpart of migrateLocalData(): give participant rows
+ * without an id one (see assign_participant_ids() in the header comment),
+ * and point attendance, bookings and message threads
+ * that still name a participant at the id instead. Runs for users who
+ * manage participants, while online; rows already migrated are left
+ * alone, so running it again is harmless. The score baseline stays keyed
+ * by name, see loadScoreBaseline().
+ */
+async function migrateRemoteData() {
+  if (!supabase || !can('participants.manage') || !navigator.onLine) return;
+  try {
+    let { data: rows, error } = await supabase.from('participants').select();
+    if (error) throw error;
+    const legacy = rows.filter(r => !r.id);
+    if (legacy.length) {
+      // The function gives every row its own id, also rows sharing a name
+      const { error: rpcError } = await supabase.rpc('assign_participant_ids');
+      if (rpcError && !MISSING_FUNCTION_ERRORS.includes(rpcError.code)) throw rpcError;
+      if (rpcError) {
+        // Without it only names used by a single row can be matched safely
+        const count = name => legacy.filter(r => r.name === name).length;
+        for (const row of legacy) {
+          if (count(row.name) > 1) {
+            console.warn(`Participants named "${row.name}" need assign_participant_ids() to get ids`);
+            continue;
+          }
+          await supabase.from('participants').update({ id: generateId() }).is('id', null).eq('name', row.name);
+        }
+      }
+      ({ data: rows, error } = await supabase.from('participants').select());
+      if (error) throw error;
+      rows = rows.filter(r => r.id);
+    }
+    const ids = new Set(rows.map(r => r.id));
+    const idByName = new Map(rows.map(r => [r.name, r.id]));
+    const idFor = value => (ids.has(value) ? null : idByName.get(value));
+    for (const table of ['attendance', 'bookings']) {
+      const { data } = await supabase.from(table).select();
+      for (const record of data || []) {
+        const id = idFor(record.participant);
+        if (id) {
+          await supabase.from(table).update({ participant: id }).match({ sessionId: record.sessionId, participant: record.participant });
+        }
+      }
+    }
+    const { data: messages } = await supabase.from('messages').select('to');
+    for (const name of new Set((messages || []).map(m => m.to))) {
+      const id = idFor(name);
+      if (id) await supabase.from('messages').update({ to: id }).eq('to', name);
+    }
+  } catch (err) {
+    // Tried again at the next login
+    console.error(err);
+  }
+}
+
+/**
+ * Sessions in chronological order; ids are ISO start times. Sessions that
+ * a schedule change moved or removed are kept, marked `removed`, so the
+ * calendar feed can cancel them; they are left out unless
+ * `includeRemoved` is set.
+ * @param {boolean} includeRemoved
+ * @returns {Promise<Array>}
+ */
+async function loadSessions(includeRemoved = false) {
+  const visible = sessions => sessions
+    .filter(s => includeRemoved || !s.removed)
+    .sort((a, b) => a.id.localeCompare(b.id));
+  if (supabase) {
+    const { data, error } = await remoteRead('sessions', supabase.from('sessions').select());
+    if (error) console.error(error);
+    return visible(data || []);
+  }
+  const stored = localStorage.getItem(LS_SESSIONS);
+  if (stored) return visible(JSON.parse(stored));
+  // Fallback: generate default if none exists
+  const sessions = generateSessions(await loadSchedule());
+  localStorage.setItem(LS_SESSIONS, JSON.stringify(sessions));
+  return sessions;
+}
+
+async function addSession(session) {
+  requirePermission('schedule.manage');
+  if (supabase) {
+    await remoteWrite({ table: 'sessions', action: 'insert', values: session });
+  } else {
+    const sessions = await loadSessions(true);
+    sessions.push(session);
+    localStorage.setItem(LS_SESSIONS, JSON.stringify(sessions));
+  }
+}
+
+// Updates bump `revision` so calendar apps pick up the change (ICS SEQUENCE)
+async function updateSession(session) {
+  requirePermission('schedule.manage');
+  session = { ...session, revision: (session.revision || 0) + 1, updatedAt: new Date().toISOString() };
+  if (supabase) {
+    await remoteWrite({ table: 'sessions', action: 'update', values: session, match: { id: session.id } });
+  } else {
+    const sessions = await loadSessions(true);
+    localStorage.setItem(LS_SESSIONS, JSON.stringify(sessions.map(s => s.id === session.id ? session : s)));
+  }
+}
+
+// Removed sessions are kept as cancelled, like those a schedule change
+// removes, so calendar apps that already have them drop them too.
+// `manuallyRemoved` stops the schedule from bringing them back.
+async function removeSession(id) {
+  requirePermission('schedule.manage');
+  const session = (await loadSessions(true)).find(s => s.id === id);
+  if (session) await updateSession({ ...session, cancelled: true, removed: true, manuallyRemoved: true });
+}
+
+async function loadSchedule() {
+  if (supabase) {
+    const { data } = await remoteRead('schedules', supabase.from('schedules').select().eq('id', 1).maybeSingle());
+    if (data) return { rules: data.rules || [], exceptions: data.exceptions || [] };
+    return JSON.parse(JSON.stringify(DEFAULT_SCHEDULE));
+  }
+  const stored = localStorage.getItem(LS_SCHEDULE);
+  return stored ? JSON.parse(stored) : JSON.parse(JSON.stringify(DEFAULT_SCHEDULE));
+}
+
+async function saveSchedule(schedule) {
+  requirePermission('schedule.manage');
+  if (supabase) {
+    const { error } = await remoteWrite({ table: 'schedules', action: 'upsert', values: { id: 1, rules: schedule.rules, exceptions: schedule.exceptions } });
+    if (error) console.error(error);
+  } else {
+    localStorage.setItem(LS_SCHEDULE, JSON.stringify(schedule));
+  }
+}
+
+// Local calendar date of a Date as YYYY-MM-DD
+function toDateKey(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function sessionLabel(date) {
+  return date.toLocaleString('no-NO', { weekday: 'long', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Build a session object starting at the given local date and time.
+ * @param {Date} date Start time
+ * @param {Object} fields Extra fields (duration, location, ruleId, oneOff)
+ * @returns {Object} Session with id (ISO start time) and label
+ */
+function makeSession(date, fields = {}) {
+  return { id: date.toISOString(), label: sessionLabel(date), duration: 60, location: '', ...fields };
+}
+
+/**
+ * Expand the recurring rules of a schedule into sessions. A rule runs from
+ * its start date for a number of weeks, or until its end date when one is
+ * set. Sessions falling on an exception date are returned as cancelled so
+ * that calendars and participants see the cancellation.
+ * @param {Object} schedule Schedule with `rules` and `exceptions`
+ * @returns {Array} Sessions in chronological order
+ */
+function generateSessions(schedule) {
+  const sessions = [];
+  schedule.rules.forEach(rule => {
+    if (!rule.startDate || !rule.weekdays.length) return;
+    const [hours, minutes] = (rule.time || '00:00').split(':').map(Number);
+    const day = new Date(`${rule.startDate}T00:00:00`);
+    const end = rule.endDate
+      ? new Date(`${rule.endDate}T23:59:59`)
+      : new Date(day.getFullYear(), day.getMonth(), day.getDate() + (rule.weeks || 0) * 7);
+    while (day < end) {
+      if (rule.weekdays.includes(day.getDay())) {
+        const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+        const exception = schedule.exceptions.find(e => e.date === toDateKey(start));
+        sessions.push(makeSession(start, {
+          duration: rule.duration,
+          location: rule.location,
+          ruleId: rule.id,
+          cancelled: !!exception,
+          note: exception ? exception.reason : ''
+        }));
+      }
+      day.setDate(day.getDate() + 1);
+    }
+  });
+  return sessions.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Bring the stored sessions in line with the schedule without creating
+ * duplicates: missing sessions are added, sessions of a rule pick up its
+ * duration, location and exceptions, and future sessions a rule no longer
+ * produces are removed unless attendance was registered for them. One-off
+ * sessions and sessions removed by hand are left alone. Running it twice
+ * is a no-op.
+ * @param {Object} schedule Schedule with `rules` and `exceptions`
+ * @returns {Object} Counts of added, updated and removed sessions
+ */
+async function syncScheduleSessions(schedule) {
+  const existing = await loadSessions(true);
+  const generated = generateSessions(schedule);
+  const attendance = await loadAttendance();
+  const result = { added: 0, updated: 0, removed: 0 };
+  for (const session of generated) {
+    const current = existing.find(s => s.id === session.id);
+    if (!current) {
+      await addSession(session);
+      result.added++;
+    } else if (!current.oneOff && !current.manuallyRemoved) {
+      // Sessions created before the schedule editor have no ruleId; adopt them
+      const manuallyCancelled = current.cancelled && !current.removed && !current.note && !session.cancelled;
+      const updated = { ...current, ruleId: session.ruleId, duration: session.duration, location: session.location };
+      // Moved back to a time it was moved away from
+      if (current.removed) updated.removed = false;
+      if (!manuallyCancelled) {
+        updated.cancelled = session.cancelled;
+        updated.note = session.note;
+      }
+      if (JSON.stringify(updated) !== JSON.stringify(current)) {
+        await updateSession(updated);
+        result.updated++;
+      }
+    }
+  }
+  const now = new Date();
+  for (const session of existing) {
+    const orphaned = session.ruleId && !session.removed && !generated.some(g => g.id === session.id);
+    const registered = attendance.some(r => r.sessionId === session.id);
+    if (orphaned && new Date(session.id) > now && !registered) {
+      // Session ids are start times, so a new time is a new session. The
+      // old one stays as cancelled for calendar apps that already have it.
+      await updateSession({ ...session, cancelled: true, removed: true });
+      result.removed++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Human readable summary of the recurring rules, e.g. "Mandager kl. 19:00
+ * og onsdager kl. 18:00."
+ * @param {Object} schedule Schedule with `rules`
+ * @returns {string}
+ */
+function describeSchedule(schedule) {
+  const parts = schedule.rules.filter(r => r.weekdays.length).map(rule => {
+    const days = WEEKDAYS.filter(w => rule.weekdays.includes(w.day)).map(w => w.plural);
+    return `${joinWithAnd(days)} kl. ${rule.time}${rule.location ? ` (${rule.location})` : ''}`;
+  });
+  if (!parts.length) return 'Ingen faste økter er satt opp.';
+  const text = joinWithAnd(parts);
+  return text.charAt(0).toUpperCase() + text.slice(1) + '.';
+}
+
+// Effective capacity: the session's own value, else its rule's, else default
+function sessionCapacity(session, schedule) {
+  if (session && session.capacity) return session.capacity;
+  const rule = session && schedule.rules.find(r => r.id === session.ruleId);
+  return (rule && rule.capacity) || DEFAULT_CAPACITY;
+}
+
+// Bookings: one entry per participant and session. Whether a booking has a
+// place or is on the waitlist is derived from booking order and capacity,
+// so when someone cancels the next person in line is promoted automatically.
+
+async function loadBookings(sessionId) {
+  let bookings;
+  if (supabase) {
+    let query = supabase.from('bookings').select();
+    if (sessionId) query = query.eq('sessionId', sessionId);
+    const { data, error } = await remoteRead(`bookings:${sessionId || ''}`, query);
+    if (error) console.error(error);
+    bookings = data || [];
+  } else {
+    const stored = localStorage.getItem(LS_BOOKINGS);
+    bookings = stored ? JSON.parse(stored) : [];
+    if (sessionId) bookings = bookings.filter(b => b.sessionId === sessionId);
+  }
+  return bookings.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// Participants may only book and cancel for themselves
+async function requireBookingAccess(participant) {
+  if (can('bookings.manage')) return;
+  const me = await getCurrentParticipant();
+  if (!me || me.id !== participant) requirePermission('bookings.manage');
+}
+
+async function addBooking(sessionId, participant) {
+  await requireBookingAccess(participant);
+  const booking = { sessionId, participant, timestamp: new Date().toISOString() };
+  if (supabase) {
+    const { error } = await remoteWrite({ table: 'bookings', action: 'upsert', values: booking, options: { onConflict: 'sessionId,participant', ignoreDuplicates: true } });
+    if (error) console.error(error);
+  } else {
+    const bookings = await loadBookings();
+    if (!bookings.some(b => b.sessionId === sessionId && b.participant === participant)) {
+      bookings.push(booking);
+      localStorage.setItem(LS_BOOKINGS, JSON.stringify(bookings));
+    }
+  }
+}
+
+async function cancelBooking(sessionId, participant) {
+  await requireBookingAccess(participant);
+  if (supabase) {
+    await remoteWrite({ table: 'bookings', action: 'delete', match: { sessionId, participant } });
+  } else {
+    const bookings = (await loadBookings()).filter(b => !(b.sessionId === sessionId && b.participant === participant));
+    localStorage.setItem(LS_BOOKINGS, JSON.stringify(bookings));
+  }
+}
+
+/**
+ * Split a session's bookings (oldest first) into confirmed places and the
+ * waitlist.
+ * @param {Array} bookings Bookings for one session, sorted by timestamp
+ * @param {number} capacity Number of places
+ * @returns {{booked: Array, waitlist: Array}}
+ */
+function splitBookings(bookings, capacity) {
+  return { booked: bookings.slice(0, capacity), waitlist: bookings.slice(capacity) };
+}
+
+function joinWithAnd(items) {
+  if (items.length < 2) return items.join('');
+  return items.slice(0, -1).join(', ') + ' og ' + items[items.length - 1];
+}
+
+// Text entered by users (names, messages) must be escaped before it goes
+// into innerHTML; elsewhere prefer textContent
+function escapeHtml(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Attendance ledger: one record per participant and session. Registering a
+// session again replaces its records, so totals can never be double-counted.
+
+async function loadAttendance(sessionId) {
+  if (supabase) {
+    let query = supabase.from('attendance').select();
+    if (sessionId) query = query.eq('sessionId', sessionId);
+    const { data, error } = await remoteRead(`attendance:${sessionId || ''}`, query);
+    if (error) console.error(error);
+    return data || [];
+  }
+  const stored = localStorage.getItem(LS_ATTENDANCE);
+  const records = stored ? JSON.parse(stored) : [];
+  return sessionId ? records.filter(r => r.sessionId === sessionId) : records;
+}
+
+async function saveSessionAttendance(sessionId, records) {
+  requirePermission('attendance.register');
+  if (supabase) {
+    // Offline registrations replayed later lose to newer edits by another coach
+    const { error } = await remoteWrite({
+      table: 'attendance',
+      action: 'upsert',
+      values: records,
+      options: { onConflict: 'sessionId,participant' },
+      lastWriteWins: { keys: ['sessionId', 'participant'], field: 'timestamp' }
+    });
+    if (error) console.error(error);
+  } else {
+    const stored = localStorage.getItem(LS_ATTENDANCE);
+    const others = (stored ? JSON.parse(stored) : []).filter(r => r.sessionId !== sessionId);
+    localStorage.setItem(LS_ATTENDANCE, JSON.stringify(others.concat(records)));
+  }
+}
+
+/**
+ * Derive scoreboard totals from attendance records using the scoring rules.
+ * Sessions are walked in chronological order to award streak bonuses; only
+ * sessions that have been registered can break a streak. The optional
+ * baseline holds counters recorded before the ledger existed, so older
+ * seasons keep their points.
+ * @param {Array} records Attendance records
+ * @param {Object} rules Scoring rules (see DEFAULT_SCORING_RULES)
+ * @param {Object} baseline Totals keyed by participant id
+ * @returns {Object} Totals keyed by participant id
+ */
+function computeScores(records, rules = DEFAULT_SCORING_RULES, baseline = {}) {
+  const scores = {};
+  const entry = id => {
+    if (!scores[id]) scores[id] = { points: 0, bestCount: 0, streak: 0 };
+    return scores[id];
+  };
+  Object.keys(baseline).forEach(id => {
+    const e = entry(id);
+    e.points = baseline[id].points || 0;
+    e.bestCount = baseline[id].bestCount || 0;
+  });
+  const sessionIds = [...new Set(records.map(r => r.sessionId))].sort();
+  sessionIds.forEach(sessionId => {
+    const sessionRecords = records.filter(r => r.sessionId === sessionId);
+    const bonus = (rules.sessionBonuses || {})[sessionId] || 0;
+    sessionRecords.forEach(r => {
+      const e = entry(r.participant);
+      if (r.attended) {
+        e.points += rules.attendancePoints + bonus;
+        e.streak += 1;
+        (rules.streakBonuses || []).forEach(sb => {
+          if (sb.length > 0 && e.streak % sb.length === 0) e.points += sb.points;
+        });
+      } else {
+        e.streak = 0;
+      }
+      if (r.best) {
+        e.points += rules.bestEffortPoints;
+        e.bestCount += 1;
+      }
+    });
+    // Participants without a record for a registered session lose their streak
+    Object.keys(scores).forEach(id => {
+      if (!sessionRecords.some(r => r.participant === id)) scores[id].streak = 0;
+    });
+  });
+  return scores;
+}
+
+/**
+ * Collect per-participant attendance statistics used by the achievements:
+ * number of sessions attended, best-effort count, longest streak and the
+ * number of perfect 8-week cycles. Cycles are counted from the first
+ * registered session and only count once they have fully elapsed.
+ * @param {Array} records Attendance records
+ * @returns {Object} Stats keyed by participant id
+ */
+function computeParticipantStats(records) {
+  const stats = {};
+  const sessionIds = [...new Set(records.map(r => r.sessionId))].sort();
+  if (!sessionIds.length) return stats;
+  const firstTime = new Date(sessionIds[0]).getTime();
+  const lastTime = new Date(sessionIds[sessionIds.length - 1]).getTime();
+  const cycleOf = sessionId => Math.floor((new Date(sessionId).getTime() - firstTime) / CYCLE_LENGTH_MS);
+  const completedCycles = Math.floor((lastTime - firstTime + 7 * 24 * 60 * 60 * 1000) / CYCLE_LENGTH_MS);
+  records.forEach(r => {
+    if (!stats[r.participant]) {
+      stats[r.participant] = { attended: 0, bestCount: 0, streak: 0, longestStreak: 0, missedCycles: new Set(), perfectCycles: 0 };
+    }
+  });
+  sessionIds.forEach(sessionId => {
+    Object.keys(stats).forEach(id => {
+      const st = stats[id];
+      const r = records.find(rec => rec.sessionId === sessionId && rec.participant === id);
+      if (r && r.attended) {
+        st.attended += 1;
+        st.streak += 1;
+        st.longestStreak = Math.max(st.longestStreak, st.streak);
+      } else {
+        st.streak = 0;
+        st.missedCycles.add(cycleOf(sessionId));
+      }
+      if (r && r.best) st.bestCount += 1;
+    });
+  });
+  Object.keys(stats).forEach(id => {
+    const st = stats[id];
+    for (let c = 0; c < completedCycles; c++) {
+      if (!st.missedCycles.has(c)) st.perfectCycles += 1;
+    }
+    delete st.missedCycles;
+  });
+  return stats;
+}
+
+/**
+ * Work out which achievements each participant has unlocked.
+ * @param {Array} records Attendance records
+ * @returns {Object} Lists of ACHIEVEMENTS entries keyed by participant id
+ */
+function computeAchievements(records) {
+  const stats = computeParticipantStats(records);
+  const result = {};
+  Object.keys(stats).forEach(id => {
+    result[id] = ACHIEVEMENTS.filter(a => a.test(stats[id]));
+  });
+  return result;
+}
+
+/**
+ * Current totals, optionally limited to one season. The opening balance
+ * from before the ledger counts towards the first season only.
+ * @param {Object} [season] Season to compute, or all time when omitted
+ * @returns {Promise<Object>} See computeScores()
+ */
+async function loadScores(season = null) {
+  const { records, rules, baseline } = await loadScoreInputs(season);
+  return computeScores(records, rules, baseline);
+}
+
+// Records, rules and opening balance that the totals of a season (or all
+// time) are computed from
+async function loadScoreInputs(season = null) {
+  let records = await loadAttendance();
+  const rules = await loadScoringRules();
+  let baseline = await loadScoreBaseline();
+  if (season) {
+    records = records.filter(r => inSeason(season, r.sessionId));
+    const first = (await loadSeasons())[0];
+    if (first && first.id !== season.id) baseline = {};
+  }
+  return { records, rules, baseline };
+}
+
+async function loadScoringRules() {
+  let rules = null;
+  if (supabase) {
+    const { data } = await remoteRead('scoring_rules', supabase.from('scoring_rules').select().eq('id', 1).maybeSingle());
+    rules = data ? data.rules : null;
+  } else {
+    const stored = localStorage.getItem(LS_SCORING);
+    rules = stored ? JSON.parse(stored) : null;
+  }
+  return { ...DEFAULT_SCORING_RULES, streakBonuses: [], sessionBonuses: {}, ...rules };
+}
+
+async function saveScoringRules(rules) {
+  requirePermission('scoring.manage');
+  if (supabase) {
+    const { error } = await remoteWrite({ table: 'scoring_rules', action: 'upsert', values: { id: 1, rules } });
+    if (error) console.error(error);
+  } else {
+    localStorage.setItem(LS_SCORING, JSON.stringify(rules));
+  }
+}
+
+// Cumulative counters from before the attendance ledger. They are read-only
+// now and only contribute an opening balance to the totals.
+async function loadScoreBaseline() {
+  if (supabase) {
+    const { data, error } = await remoteRead('scores', supabase.from('scores').select());
+    if (error) { console.error(error); }
+    const participants = await loadParticipants();
+    const obj = {};
+    if (data) {
+      data.forEach(r => {
+        const participant = participants.find(p => p.name === r.name);
+        if (participant) obj[participant.id] = { points: r.points, bestCount: r.bestCount };
+      });
+    }
+    return obj;
+  }
+  const stored = localStorage.getItem(LS_SCORES);
+  return stored ? JSON.parse(stored) : {};
+}
+
+/**
+ * Replace the current shoutout. Non-empty shoutouts are also added to the
+ * history kept for the season archive.
+ * @param {string} text Shoutout, empty to clear it
+ * @param {string} [sessionId] Session the shoutout was given for
+ */
+async function saveShoutout(text, sessionId = null) {
+  requirePermission('attendance.register');
+  const entry = { id: generateId(), text, sessionId, timestamp: new Date().toISOString() };
+  if (supabase) {
+    // Save shoutout as a single row with id=1; create if not exists
+    await remoteWrite({ table: 'shoutouts', action: 'upsert', values: { id: 1, text } });
+    if (text) await remoteWrite({ table: 'shoutout_log', action: 'insert', values: entry });
+  } else {
+    localStorage.setItem(LS_SHOUTOUT, text);
+    if (text) {
+      const history = await loadShoutoutHistory();
+      history.push(entry);
+      localStorage.setItem(LS_SHOUTOUT_LOG, JSON.stringify(history));
+    }
+  }
+}
+
+// Every shoutout given, oldest first
+async function loadShoutoutHistory() {
+  let history;
+  if (supabase) {
+    const { data, error } = await remoteRead('shoutout_log', supabase.from('shoutout_log').select());
+    if (error) console.error(error);
+    history = data || [];
+  } else {
+    const stored = localStorage.getItem(LS_SHOUTOUT_LOG);
+    history = stored ? JSON.parse(stored) : [];
+  }
+  return history.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+async function loadShoutout() {
+  if (supabase) {
+    const { data } = await remoteRead('shoutouts', supabase.from('shoutouts').select().eq('id', 1).maybeSingle());
+    if (data) return data.text;
+    return '';
+  }
+  return localStorage.getItem(LS_SHOUTOUT) || '';
+}
+
+// Theme customisation storage
+function saveThemeSettings() {
+  requirePermission('theme.manage');
+  const accent = document.getElementById('accent-picker').value;
+  const font = document.getElementById('font-picker').value;
+  document.documentElement.style.setProperty('--accent-color', accent);
+  document.documentElement.style.setProperty('--font-family', font);
+  const theme = { accent, font };
+  if (supabase) {
+    remoteWrite({ table: 'themes', action: 'upsert', values: { id: 1, accent, font } });
+  } else {
+    localStorage.setItem(LS_THEME, JSON.stringify(theme));
+  }
+  alert('Design lagret!');
+}
+
+function loadThemeSettings() {
+  if (supabase) {
+    // Not awaited: theme saved server side will be applied at next page load
+    return null;
+  }
+  const stored = localStorage.getItem(LS_THEME);
+  return stored ? JSON.parse(stored) : null;
+}
+
+// Saved theme from either backend, or null when none has been saved
+async function loadTheme() {
+  if (supabase) {
+    const { data } = await remoteRead('themes', supabase.from('themes').select().eq('id', 1).maybeSingle());
+    return data ? { accent: data.accent, font: data.font } : null;
+  }
+  return loadThemeSettings();
+}
+
+function applySavedTheme() {
+  let theme = null;
+  if (!SUPABASE_URL || !SUPABASE_KEY) {
+    const stored = localStorage.getItem(LS_THEME);
+    theme = stored ? JSON.parse(stored) : null;
+  }
+  if (theme) {
+    document.documentElement.style.setProperty('--accent-color', theme.accent);
+    document.documentElement.style.setProperty('--font-family', theme.font);
+  }
+}
+
+// ==== Offline sync ====
+
+// supabase-js reports a failed fetch as an error result rather than throwing
+function isNetworkError(error) {
+  return !navigator.onLine || /fetch|network|load failed/i.test((error && error.message) || '');
+}
+
+/**
+ * Run a Supabase select, caching the result under `cacheKey`. When the
+ * network is unavailable the cached result is returned instead, so the app
+ * keeps working in places without coverage.
+ * @param {string} cacheKey Key for the cached result
+ * @param {Object} query Supabase query builder (thenable)
+ * @returns {Promise<{data: *, error: *}>}
+ */
+async function remoteRead(cacheKey, query) {
+  let result;
+  try {
+    result = await query;
+  } catch (err) {
+    result = { data: null, error: err };
+  }
+  const key = LS_READ_CACHE + cacheKey;
+  if (result.error && isNetworkError(result.error)) {
+    const cached = localStorage.getItem(key);
+    return { data: cached ? JSON.parse(cached) : null, error: null };
+  }
+  if (!result.error) {
+    try {
+      localStorage.setItem(key, JSON.stringify(result.data));
+    } catch (err) {
+      // Cache is best effort; large tables may not fit
+      localStorage.removeItem(key);
+    }
+  }
+  return result;
+}
+
+// Build and run the Supabase query described by a write operation
+async function executeWrite(op) {
+  let query = supabase.from(op.table);
+  if (op.action === 'insert') query = query.insert(op.values);
+  else if (op.action === 'upsert') query = query.upsert(op.values, op.options);
+  else if (op.action === 'update') query = query.update(op.values);
+  else if (op.action === 'delete') query = query.delete();
+  Object.keys(op.match || {}).forEach(col => { query = query.eq(col, op.match[col]); });
+  try {
+    return await query;
+  } catch (err) {
+    return { error: err };
+  }
+}
+
+/**
+ * Write to Supabase, or queue the write when offline. Operations are plain
+ * objects so they survive a reload: { table, action ('insert', 'upsert',
+ * 'update' or 'delete'), values, match (column/value filters), options
+ * (upsert options), lastWriteWins }. `lastWriteWins` ({ keys, field })
+ * makes a replayed write skip rows that were changed more recently on the
+ * server.
+ * @param {Object} op Write operation
+ * @returns {Promise<{error: *, queued: boolean}>}
+ */
+async function remoteWrite(op) {
+  if (navigator.onLine && !loadWriteQueue().length) {
+    const { error } = await executeWrite(op);
+    if (!error || !isNetworkError(error)) {
+      if (error) console.error(error);
+      return { error, queued: false };
+    }
+  }
+  // Queue behind earlier writes so they replay in order
+  enqueueWrite(op);
+  // Online, the queue is replayed now; not every browser has Background
+  // Sync to do it later
+  if (navigator.onLine) flushWriteQueue();
+  return { error: null, queued: true };
+}
+
+function loadWriteQueue() {
+  const stored = localStorage.getItem(LS_SYNC_QUEUE);
+  return stored ? JSON.parse(stored) : [];
+}
+
+function saveWriteQueue(queue) {
+  localStorage.setItem(LS_SYNC_QUEUE, JSON.stringify(queue));
+  updateSyncStatus();
+}
+
+function enqueueWrite(op) {
+  const queue = loadWriteQueue();
+  queue.push({ id: generateId(), op, queuedAt: new Date().toISOString() });
+  saveWriteQueue(queue);
+  // Let the service worker wake us when the connection is back
+  if ('serviceWorker' in navigator && window.SyncManager) {
+    navigator.serviceWorker.ready
+      .then(reg => reg.sync.register(SYNC_TAG))
+      .catch(() => {});
+  }
+}
+
+function loadSyncConflicts() {
+  const stored = localStorage.getItem(LS_SYNC_CONFLICTS);
+  return stored ? JSON.parse(stored) : [];
+}
+
+function recordSyncConflict(op, row, remote) {
+  const conflicts = loadSyncConflicts();
+  conflicts.push({ table: op.table, local: row, remote, detectedAt: new Date().toISOString() });
+  localStorage.setItem(LS_SYNC_CONFLICTS, JSON.stringify(conflicts));
+}
+
+/**
+ * Drop queued rows that lost to a newer server version (last write wins on
+ * the op's timestamp field) and record them as conflicts.
+ * @param {Object} op Queued upsert with `lastWriteWins`
+ * @returns {Promise<Object|null>} The op with the winning rows, or null
+ */
+async function resolveLastWriteWins(op) {
+  const { keys, field } = op.lastWriteWins;
+  const rows = Array.isArray(op.values) ? op.values : [op.values];
+  const winners = [];
+  for (const row of rows) {
+    let query = supabase.from(op.table).select();
+    keys.forEach(k => { query = query.eq(k, row[k]); });
+    const { data, error } = await query.maybeSingle();
+    if (error) throw error;
+    if (data && data[field] && data[field] > row[field]) {
+      recordSyncConflict(op, row, data);
+    } else {
+      winners.push(row);
+    }
+  }
+  return winners.length ? { ...op, values: winners } : null;
+}
+
+let flushingQueue = false;
+// Retry timer while the network fails although the browser is online
+let flushRetry = null;
+const SYNC_RETRY_MS = 30 * 1000;
+
+/**
+ * Replay queued writes in order. Stops at the first network failure and
+ * leaves the rest for the next attempt, made by a timer while the browser
+ * is online; writes rejected by the server are
+ * dropped and logged so they cannot block the queue.
+ */
+async function flushWriteQueue() {
+  if (!supabase || flushingQueue || !navigator.onLine) {
+    updateSyncStatus();
+    return;
+  }
+  flushingQueue = true;
+  updateSyncStatus();
+  try {
+    let queue = loadWriteQueue();
+    while (queue.length) {
+      const entry = queue[0];
+      let op = entry.op;
+      let result = { error: null };
+      try {
+        if (op.lastWriteWins) op = await resolveLastWriteWins(op);
+        if (op) result = await executeWrite(op);
+      } catch (err) {
+        result = { error: err };
+      }
+      if (result.error && isNetworkError(result.error)) {
+        if (!flushRetry) {
+          flushRetry = setTimeout(() => {
+            flushRetry = null;
+            flushWriteQueue();
+          }, SYNC_RETRY_MS);
+        }
+        break;
+      }
+      if (result.error) console.error('Synkronisering avvist', entry, result.error);
+      queue = loadWriteQueue().filter(e => e.id !== entry.id);
+      saveWriteQueue(queue);
+    }
+  } finally {
+    flushingQueue = false;
+    updateSyncStatus();
+  }
+}
+
+// Header indicator for pending writes, sync progress and conflicts
+function updateSyncStatus() {
+  const el = document.getElementById('sync-status');
+  if (!el) return;
+  if (!supabase) {
+    el.classList.add('hidden');
+    return;
+  }
+  const pending = loadWriteQueue().length;
+  const conflicts = loadSyncConflicts();
+  el.classList.remove('hidden');
+  el.onclick = null;
+  if (pending && flushingQueue) {
+    el.textContent = `🔄 Synkroniserer ${pending} endring${pending === 1 ? '' : 'er'}…`;
+  } else if (pending) {
+    el.textContent = `⏳ ${pending} endring${pending === 1 ? '' : 'er'} venter på nett`;
+  } else if (!navigator.onLine) {
+    el.textContent = '📴 Frakoblet';
+  } else {
+    el.textContent = '✓ Synkronisert';
+  }
+  if (conflicts.length) {
+    el.textContent += ` · ⚠️ ${conflicts.length} konflikt${conflicts.length === 1 ? '' : 'er'}`;
+    el.onclick = () => {
+      const lines = conflicts.map(c => `${c.table}: ${JSON.stringify(c.local)} (nyere versjon fra ${c.remote.timestamp || c.remote.updatedAt || 'serveren'} beholdt)`);
+      alert('Disse endringene ble gjort frakoblet, men noen andre hadde lagret en nyere versjon, som ble beholdt:\n\n' + lines.join('\n'));
+      localStorage.removeItem(LS_SYNC_CONFLICTS);
+      updateSyncStatus();
+    };
+  }
+}
+
+// ==== Seasons feature ====
+//
+// Seasons are named date ranges ({ id, name, start, end, archived, final })
+// over the attendance ledger; scores of a season only count its sessions.
+// Archiving a season freezes `final` ({ standings, shoutouts, archivedAt })
+// so its results survive later changes to participants and rules.
+
+async function loadSeasons() {
+  let seasons;
+  if (supabase) {
+    const { data, error } = await remoteRead('seasons', supabase.from('seasons').select());
+    if (error) console.error(error);
+    seasons = data || [];
+  } else {
+    const stored = localStorage.getItem(LS_SEASONS);
+    seasons = stored ? JSON.parse(stored) : [];
+  }
+  return seasons.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+async function saveSeason(season) {
+  requirePermission('seasons.manage');
+  if (supabase) {
+    const { error } = await remoteWrite({ table: 'seasons', action: 'upsert', values: season, options: { onConflict: 'id' } });
+    if (error) console.error(error);
+  } else {
+    const seasons = (await loadSeasons()).filter(s => s.id !== season.id);
+    seasons.push(season);
+    localStorage.setItem(LS_SEASONS, JSON.stringify(seasons));
+  }
+}
+
+async function removeSeason(id) {
+  requirePermission('seasons.manage');
+  if (supabase) {
+    await remoteWrite({ table: 'seasons', action: 'delete', match: { id } });
+  } else {
+    const seasons = (await loadSeasons()).filter(s => s.id !== id);
+    localStorage.setItem(LS_SEASONS, JSON.stringify(seasons));
+  }
+}
+
+/**
+ * Whether a session (or any ISO timestamp) falls within a season. Start and
+ * end dates are inclusive.
+ * @param {Object} season
+ * @param {string} isoDate Session id or timestamp
+ * @returns {boolean}
+ */
+function inSeason(season, isoDate) {
+  const day = toDateKey(new Date(isoDate));
+  return season.start <= day && day <= season.end;
+}
+
+// The season running today, or null
+function currentSeason(seasons) {
+  return seasons.find(s => !s.archived && inSeason(s, new Date().toISOString())) || null;
+}
+
+// Shoutouts of a season, dated by their session when they have one
+function seasonShoutouts(season, history) {
+  return history.filter(entry => inSeason(season, entry.sessionId || entry.timestamp));
+}
+
+/**
+ * Archive a season: store its final standings and shoutouts with it.
+ * @param {Object} season Season to archive
+ */
+async function archiveSeason(season) {
+  requirePermission('seasons.manage');
+  const standings = await loadScoreboardEntries(season);
+  const shoutouts = seasonShoutouts(season, await loadShoutoutHistory());
+  await saveSeason({
+    ...season,
+    archived: true,
+    final: { standings, shoutouts, archivedAt: new Date().toISOString() }
+  });
+}
+
+// ==== Charts feature ====
+//
+// Progress charts drawn as inline SVG from the attendance ledger, so they
+// work offline without a charting library.
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = 32;
+const CHART_COLORS = ['var(--accent-color)', '#4fc3f7', '#81c784', '#e57373', '#ba68c8', '#fff176'];
+// Participants drawn in the scoreboard charts
+const CHART_TOP_COUNT = 5;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Points and rank of every participant after each registered session.
+ * Arrays hold one value per session, null before a participant's first
+ * record. Ties share a rank.
+ * @param {Array} records Attendance records
+ * @param {Object} rules Scoring rules
+ * @param {Object} baseline Opening balance, see loadScoreBaseline()
+ * @returns {{sessions: Array<string>, points: Object, ranks: Object}}
+ */
+function computeTimeline(records, rules, baseline = {}) {
+  const sessions = [...new Set(records.map(r => r.sessionId))].sort();
+  const points = {};
+  const ranks = {};
+  sessions.forEach((sessionId, idx) => {
+    const scores = computeScores(records.filter(r => r.sessionId <= sessionId), rules, baseline);
+    Object.keys(scores).forEach(id => {
+      if (!points[id]) {
+        points[id] = new Array(sessions.length).fill(null);
+        ranks[id] = new Array(sessions.length).fill(null);
+      }
+      points[id][idx] = scores[id].points;
+      ranks[id][idx] = 1 + Object.values(scores).filter(s => s.points > scores[id].points).length;
+    });
+  });
+  return { sessions, points, ranks };
+}
+
+// Monday of the week a date falls in, as YYYY-MM-DD
+function weekStartKey(date) {
+  const d = new Date(date);
+  d.setDate(d.getDate() - (d.getDay() + 6) % 7);
+  return toDateKey(d);
+}
+
+// ISO 8601 week number
+function isoWeekNumber(date) {
+  const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  return Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+}
+
+/**
+ * Share of registrations marked as attended, per week.
+ * @param {Array} records Attendance records
+ * @param {string} [participantId] Limit to one participant
+ * @returns {Array<{week: string, rate: number}>} Oldest week first
+ */
+function computeWeeklyAttendance(records, participantId = null) {
+  const weeks = {};
+  records.filter(r => !participantId || r.participant === participantId).forEach(r => {
+    const key = weekStartKey(new Date(r.sessionId));
+    const week = weeks[key] = weeks[key] || { attended: 0, total: 0 };
+    week.total += 1;
+    if (r.attended) week.attended += 1;
+  });
+  return Object.keys(weeks).sort().map(week => ({ week, rate: weeks[week].attended / weeks[week].total }));
+}
+
+function svgElement(tag, attrs = {}) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.keys(attrs).forEach(name => el.setAttribute(name, attrs[name]));
+  return el;
+}
+
+function shortDate(isoDate) {
+  const d = new Date(isoDate);
+  return `${d.getDate()}.${d.getMonth() + 1}`;
+}
+
+// Chart frame: title, the SVG and an optional legend
+function chartFigure(title, svg, series) {
+  const figure = document.createElement('figure');
+  figure.className = 'chart';
+  const caption = document.createElement('figcaption');
+  caption.textContent = title;
+  figure.appendChild(caption);
+  figure.appendChild(svg);
+  if (series && series.length > 1) {
+    const legend = document.createElement('ul');
+    legend.className = 'chart-legend';
+    series.forEach(s => {
+      const li = document.createElement('li');
+      const swatch = document.createElement('span');
+      swatch.className = 'chart-swatch';
+      swatch.style.background = s.color;
+      li.appendChild(swatch);
+      li.appendChild(document.createTextNode(s.label));
+      legend.appendChild(li);
+    });
+    figure.appendChild(legend);
+  }
+  return figure;
+}
+
+function chartAxes(svg, yTicks, xLabels) {
+  const bottom = CHART_HEIGHT - CHART_PADDING;
+  svg.appendChild(svgElement('line', { x1: CHART_PADDING, y1: bottom, x2: CHART_WIDTH - CHART_PADDING, y2: bottom, class: 'chart-axis' }));
+  yTicks.forEach(t => {
+    svg.appendChild(svgElement('line', { x1: CHART_PADDING, y1: t.y, x2: CHART_WIDTH - CHART_PADDING, y2: t.y, class: 'chart-grid' }));
+    const label = svgElement('text', { x: CHART_PADDING - 4, y: t.y + 4, 'text-anchor': 'end', class: 'chart-label' });
+    label.textContent = t.label;
+    svg.appendChild(label);
+  });
+  xLabels.forEach(t => {
+    const label = svgElement('text', { x: t.x, y: bottom + 16, 'text-anchor': 'middle', class: 'chart-label' });
+    label.textContent = t.label;
+    svg.appendChild(label);
+  });
+}
+
+/**
+ * Line chart with one line per series. Null values leave a gap.
+ * @param {Object} options { title, labels (x axis), series ([{ label,
+ *   color, values }]), min, max, invert (smallest value on top, for ranks),
+ *   format (value → tooltip text) }
+ * @returns {HTMLElement}
+ */
+function renderLineChart({ title, labels, series, min = 0, max, invert = false, format = String }) {
+  const svg = svgElement('svg', { viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`, role: 'img', 'aria-label': title });
+  const top = max === undefined ? Math.max(1, ...series.flatMap(s => s.values.filter(v => v !== null))) : max;
+  const plotWidth = CHART_WIDTH - 2 * CHART_PADDING;
+  const plotHeight = CHART_HEIGHT - 2 * CHART_PADDING;
+  const x = idx => CHART_PADDING + (labels.length > 1 ? idx / (labels.length - 1) * plotWidth : plotWidth / 2);
+  const y = value => {
+    const share = top === min ? 0 : (value - min) / (top - min);
+    return CHART_PADDING + (invert ? share : 1 - share) * plotHeight;
+  };
+  const middle = Math.round((min + top) / 2);
+  const yTicks = [...new Set([min, middle, top])].map(v => ({ y: y(v), label: format(v) }));
+  const xTicks = [...new Set([0, Math.floor((labels.length - 1) / 2), labels.length - 1])]
+    .filter(idx => idx >= 0)
+    .map(idx => ({ x: x(idx), label: labels[idx] }));
+  chartAxes(svg, yTicks, xTicks);
+  series.forEach(s => {
+    let d = '';
+    s.values.forEach((v, idx) => {
+      if (v === null) return;
+      d += `${d && s.values[idx - 1] !== null ? 'L' : 'M'}${x(idx).toFixed(1)},${y(v).toFixed(1)}`;
+      // Colours go in style, where var() works, rather than in attributes
+      const dot = svgElement('circle', { cx: x(idx), cy: y(v), r: 3, style: `fill: ${s.color}` });
+      const tip = svgElement('title');
+      tip.textContent = `${s.label}, ${labels[idx]}: ${format(v)}`;
+      dot.appendChild(tip);
+      svg.appendChild(dot);
+    });
+    svg.insertBefore(svgElement('path', { d, fill: 'none', 'stroke-width': 2, style: `stroke: ${s.color}` }), svg.querySelector('circle'));
+  });
+  return chartFigure(title, svg, series);
+}
+
+/**
+ * Bar chart of values between 0 and `max`.
+ * @param {Object} options { title, labels, values, max, format }
+ * @returns {HTMLElement}
+ */
+function renderBarChart({ title, labels, values, max = 1, format = String }) {
+  const svg = svgElement('svg', { viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`, role: 'img', 'aria-label': title });
+  const plotWidth = CHART_WIDTH - 2 * CHART_PADDING;
+  const plotHeight = CHART_HEIGHT - 2 * CHART_PADDING;
+  const slot = plotWidth / Math.max(1, values.length);
+  const y = value => CHART_PADDING + (1 - value / max) * plotHeight;
+  chartAxes(svg, [0, max / 2, max].map(v => ({ y: y(v), label: format(v) })), []);
+  values.forEach((v, idx) => {
+    const bar = svgElement('rect', {
+      x: CHART_PADDING + idx * slot + slot * 0.15,
+      y: y(v),
+      width: slot * 0.7,
+      height: CHART_HEIGHT - CHART_PADDING - y(v),
+      class: 'chart-bar'
+    });
+    const tip = svgElement('title');
+    tip.textContent = `${labels[idx]}: ${format(v)}`;
+    bar.appendChild(tip);
+    svg.appendChild(bar);
+    // Label every bar while they fit, otherwise every few
+    if (values.length <= 12 || idx % Math.ceil(values.length / 12) === 0) {
+      const label = svgElement('text', { x: CHART_PADDING + (idx + 0.5) * slot, y: CHART_HEIGHT - CHART_PADDING + 16, 'text-anchor': 'middle', class: 'chart-label' });
+      label.textContent = labels[idx];
+      svg.appendChild(label);
+    }
+  });
+  return chartFigure(title, svg);
+}
+
+const formatPercent = value => `${Math.round(value * 100)} %`;
+
+/**
+ * Charts for a season (or all time): cumulative points and rank for the
+ * given participants, and the weekly attendance rate.
+ * @param {Object} season Season to chart, or null for all time
+ * @param {Array} participants Participants to draw, in legend order
+ * @param {string} [participantId] Show the attendance rate of one
+ *   participant rather than the whole group
+ * @returns {Promise<HTMLElement>}
+ */
+async function renderProgressCharts(season, participants, participantId = null) {
+  const div = document.createElement('div');
+  div.className = 'charts';
+  const { records, rules, baseline } = await loadScoreInputs(season);
+  if (!records.length) {
+    div.textContent = 'Ingen registrerte økter ennå.';
+    return div;
+  }
+  const timeline = computeTimeline(records, rules, baseline);
+  const labels = timeline.sessions.map(shortDate);
+  const series = key => participants
+    .filter(p => timeline[key][p.id])
+    .map((p, idx) => ({ label: p.name, color: CHART_COLORS[idx % CHART_COLORS.length], values: timeline[key][p.id] }));
+  div.appendChild(renderLineChart({ title: 'Poeng per økt (akkumulert)', labels, series: series('points') }));
+  const weekly = computeWeeklyAttendance(records, participantId);
+  div.appendChild(renderBarChart({
+    title: participantId ? 'Oppmøte per uke' : 'Oppmøte per uke (hele gruppen)',
+    labels: weekly.map(w => `U${isoWeekNumber(new Date(w.week + 'T12:00:00'))}`),
+    values: weekly.map(w => w.rate),
+    format: formatPercent
+  }));
+  const rankSeries = series('ranks');
+  const lowestRank = Math.max(2, ...rankSeries.flatMap(s => s.values.filter(v => v !== null)));
+  div.appendChild(renderLineChart({ title: 'Plassering', labels, series: rankSeries, min: 1, max: lowestRank, invert: true, format: v => `${v}.` }));
+  return div;
+}
+
+/**
+ * Progress of one participant in the current season (all time when no
+ * season is running).
+ * @param {Object} participant
+ */
+async function renderProgress(participant) {
+  const container = document.getElementById('content');
+  container.innerHTML = '';
+  const season = currentSeason(await loadSeasons());
+  const { records } = await loadScoreInputs(season);
+  const own = records.filter(r => r.participant === participant.id);
+  const header = document.createElement('div');
+  header.innerHTML = '<h2></h2><p></p>';
+  header.querySelector('h2').textContent = `Utvikling: ${participant.name}`;
+  const attended = own.filter(r => r.attended).length;
+  header.querySelector('p').textContent = `${season ? season.name : 'Alle økter'}: møtt på ${attended} av ${own.length} registrerte økter.`;
+  container.appendChild(header);
+  container.appendChild(await renderProgressCharts(season, [participant], participant.id));
+  const backBtn = document.createElement('button');
+  backBtn.className = 'btn';
+  backBtn.textContent = 'Tilbake til scoreboard';
+  backBtn.onclick = () => navigate('/scoreboard');
+  container.appendChild(backBtn);
+}
+
+// ==== Kiosk feature ====
+//
+// Full screen scoreboard for a screen in the gym. It needs no login and no
+// interaction: data is reloaded on a timer and, with Supabase, as soon as
+// attendance, participants, sessions or the shoutout change. Participants
+// who opted out of public display are left out.
+
+const KIOSK_REFRESH_MS = 60 * 1000;
+const KIOSK_VIEW_MS = 15 * 1000;
+const KIOSK_VIEWS = ['podium', 'table', 'next'];
+// Participants are read through a view without a login, which realtime
+// cannot watch; the periodic refresh picks up their changes
+const KIOSK_REALTIME_TABLES = ['attendance', 'sessions', 'shoutouts', 'scoring_rules'];
+
+/**
+ * Keep the screen on while a page needs it. Browsers drop the lock when
+ * the page is hidden, so it is taken again when the page becomes visible.
+ * @returns {Function} Releases the lock
+ */
+function requestWakeLock() {
+  if (!('wakeLock' in navigator)) return () => {};
+  let sentinel = null;
+  let released = false;
+  const acquire = async () => {
+    try {
+      sentinel = await navigator.wakeLock.request('screen');
+      if (released) sentinel.release();
+    } catch (err) {
+      // Refused, e.g. in battery saver mode; the page still works
+      console.error(err);
+    }
+  };
+  const onVisibility = () => {
+    if (document.visibilityState === 'visible') acquire();
+  };
+  document.addEventListener('visibilitychange', onVisibility);
+  acquire();
+  return () => {
+    released = true;
+    document.removeEventListener('visibilitychange', onVisibility);
+    if (sentinel) sentinel.release();
+  };
+}
+
+async function renderKiosk() {
+  const container = document.getElementById('content');
+  container.innerHTML = '';
+  document.body.classList.add('kiosk');
+  const board = document.createElement('div');
+  board.className = 'kiosk-board';
+  container.appendChild(board);
+  const footer = document.createElement('div');
+  footer.className = 'kiosk-footer';
+  const shout = document.createElement('p');
+  shout.className = 'shoutout';
+  footer.appendChild(shout);
+  const fullscreenBtn = document.createElement('button');
+  fullscreenBtn.className = 'btn';
+  fullscreenBtn.textContent = 'Fullskjerm';
+  fullscreenBtn.onclick = () => document.documentElement.requestFullscreen().catch(() => {});
+  footer.appendChild(fullscreenBtn);
+  const exitBtn = document.createElement('button');
+  exitBtn.className = 'btn';
+  exitBtn.style.marginLeft = '0.5rem';
+  exitBtn.textContent = 'Avslutt';
+  exitBtn.onclick = () => navigate('/home');
+  footer.appendChild(exitBtn);
+  container.appendChild(footer);
+
+  let data = null;
+  let viewIdx = 0;
+  // Rank per participant id at the previous refresh, for movement arrows
+  let previousRanks = {};
+  let movement = {};
+
+  async function refresh() {
+    const season = currentSeason(await loadSeasons());
+    const entries = (await loadScoreboardEntries(season)).filter(e => !e.hideFromPublic);
+    const ranks = {};
+    entries.forEach((e, idx) => { ranks[e.id] = idx + 1; });
+    movement = {};
+    Object.keys(ranks).forEach(id => {
+      if (previousRanks[id]) movement[id] = previousRanks[id] - ranks[id];
+    });
+    previousRanks = ranks;
+    const sessions = await loadSessions();
+    const next = sessions.find(s => !s.cancelled && new Date(s.id) > new Date());
+    let booked = 0;
+    let capacity = 0;
+    if (next) {
+      capacity = sessionCapacity(next, await loadSchedule());
+      booked = splitBookings(await loadBookings(next.id), capacity).booked.length;
+    }
+    data = { entries, next, booked, capacity };
+    const text = await loadShoutout();
+    shout.textContent = text ? `Shoutout: ${text}` : '';
+    showView(true);
+  }
+
+  function renderPodium() {
+    const podium = document.createElement('div');
+    podium.className = 'podium';
+    data.entries.slice(0, 3).forEach((e, idx) => {
+      const item = document.createElement('div');
+      item.className = 'podium-item';
+      item.dataset.id = e.id;
+      item.innerHTML = '<span class="medal"></span><span class="name"></span><span class="points"></span>';
+      item.querySelector('.medal').textContent = ['🥇', '🥈', '🥉'][idx];
+      item.querySelector('.name').textContent = e.name;
+      item.querySelector('.points').textContent = `${e.points} poeng`;
+      podium.appendChild(item);
+    });
+    return podium;
+  }
+
+  function renderTable() {
+    const table = document.createElement('table');
+    table.innerHTML = '<thead><tr><th>#</th><th>Deltaker</th><th>Poeng</th><th>Beste innsats</th></tr></thead><tbody></tbody>';
+    const tbody = table.querySelector('tbody');
+    data.entries.forEach((e, idx) => {
+      const tr = document.createElement('tr');
+      tr.dataset.id = e.id;
+      const moved = movement[e.id] || 0;
+      [String(idx + 1), e.name, String(e.points), String(e.bestCount)].forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      if (moved) {
+        const arrow = document.createElement('span');
+        arrow.className = moved > 0 ? 'rank-up' : 'rank-down';
+        arrow.textContent = moved > 0 ? ` ▲${moved}` : ` ▼${-moved}`;
+        tr.children[1].appendChild(arrow);
+      }
+      tbody.appendChild(tr);
+    });
+    return table;
+  }
+
+  function renderNextSession() {
+    const div = document.createElement('div');
+    div.className = 'kiosk-next';
+    if (!data.next) {
+      div.innerHTML = '<h2>Ingen planlagte økter</h2>';
+      return div;
+    }
+    div.innerHTML = '<h2>Neste økt</h2><p class="kiosk-next-label"></p><p></p>';
+    div.querySelector('.kiosk-next-label').textContent = data.next.label + (data.next.location ? `, ${data.next.location}` : '');
+    div.lastChild.textContent = `${data.booked} av ${data.capacity} plasser booket`;
+    return div;
+  }
+
+  /**
+   * Show the current view. On a data refresh rows that changed rank slide
+   * from their old position to the new one.
+   * @param {boolean} animate Animate rank changes
+   */
+  function showView(animate) {
+    const before = {};
+    if (animate) {
+      board.querySelectorAll('[data-id]').forEach(el => { before[el.dataset.id] = el.getBoundingClientRect().top; });
+    }
+    const view = KIOSK_VIEWS[viewIdx];
+    board.innerHTML = '';
+    board.appendChild(view === 'podium' ? renderPodium() : view === 'table' ? renderTable() : renderNextSession());
+    board.querySelectorAll('[data-id]').forEach(el => {
+      const oldTop = before[el.dataset.id];
+      if (oldTop === undefined || !el.animate) return;
+      const delta = oldTop - el.getBoundingClientRect().top;
+      if (delta) {
+        el.animate([{ transform: `translateY(${delta}px)` }, { transform: 'none' }], { duration: 800, easing: 'ease-in-out' });
+      }
+    });
+  }
+
+  await refresh();
+  const refreshTimer = setInterval(refresh, KIOSK_REFRESH_MS);
+  const rotateTimer = setInterval(() => {
+    viewIdx = (viewIdx + 1) % KIOSK_VIEWS.length;
+    showView(false);
+  }, KIOSK_VIEW_MS);
+  let channel = null;
+  // Several rows change per registration; refresh once they have landed
+  let pending = null;
+  if (supabase) {
+    const scheduleRefresh = () => {
+      clearTimeout(pending);
+      pending = setTimeout(refresh, 1000);
+    };
+    channel = supabase.channel('kiosk');
+    KIOSK_REALTIME_TABLES.forEach(table => {
+      channel.on('postgres_changes', { event: '*', schema: 'public', table }, scheduleRefresh);
+    });
+    channel.subscribe();
+  }
+  const releaseWakeLock = requestWakeLock();
+  onRouteLeave(() => {
+    clearInterval(refreshTimer);
+    clearInterval(rotateTimer);
+    clearTimeout(pending);
+    if (channel) supabase.removeChannel(channel);
+    releaseWakeLock();
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+    document.body.classList.remove('kiosk');
+  });
+}
+
+// ==== Calendar feature ====
+
+/**
+ * Render the "add to calendar" actions for the Home view: download all
+ * upcoming sessions as an .ics file and, when Supabase is configured, copy
+ * the subscribable feed URL.
+ * @param {Array} sessions All sessions
+ * @returns {HTMLElement}
+ */
+function renderCalendarActions(sessions) {
+  const div = document.createElement('div');
+  div.style.marginTop = '1rem';
+  div.innerHTML = '<h3>Kalender</h3>';
+  const exportBtn = document.createElement('button');
+  exportBtn.className = 'btn';
+  exportBtn.textContent = 'Legg alle kommende økter i kalenderen';
+  exportBtn.onclick = () => {
+    const upcoming = sessions.filter(s => new Date(s.id) >= new Date() && !s.cancelled);
+    downloadCalendar(upcoming, 'ask4fitness.ics');
+  };
+  div.appendChild(exportBtn);
+  const feedUrl = getCalendarFeedUrl();
+  if (feedUrl) {
+    const subscribeBtn = document.createElement('button');
+    subscribeBtn.className = 'btn';
+    subscribeBtn.style.marginLeft = '0.5rem';
+    subscribeBtn.textContent = 'Kopier kalender-abonnement';
+    subscribeBtn.onclick = () => {
+      navigator.clipboard.writeText(feedUrl).then(() => {
+        alert('Lenken er kopiert. Legg den til som abonnert kalender i kalenderappen din, så får du med endringer og avlysninger.');
+      });
+    };
+    div.appendChild(subscribeBtn);
+  }
+  return div;
+}
+
+function downloadCalendar(sessions, filename) {
+  downloadFile(buildCalendar(sessions), filename, 'text/calendar;charset=utf-8');
+}
+
+// Offer text content as a file download
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Europe/Oslo time zone definition (CET/CEST, EU daylight saving rules)
+const ICS_TIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  'TZID:Europe/Oslo',
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:+0100',
+  'TZOFFSETTO:+0200',
+  'TZNAME:CEST',
+  'DTSTART:19700329T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:+0200',
+  'TZOFFSETTO:+0100',
+  'TZNAME:CET',
+  'DTSTART:19701025T030000',
+  'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+/**
+ * Build an iCalendar (RFC 5545) document for the given sessions. Times are
+ * written as Europe/Oslo wall-clock times and UIDs are derived from the
+ * session id so re-imports and feed refreshes update existing events.
+ * Cancelled sessions, and removed ones moved by a schedule change, are
+ * kept with STATUS:CANCELLED.
+ * @param {Array} sessions Sessions to include
+ * @returns {string} Calendar text with CRLF line endings
+ */
+function buildCalendar(sessions) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Ask4Fitness//Timeplan//NO',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Ask4Fitness',
+    'X-WR-TIMEZONE:Europe/Oslo',
+    ...ICS_TIMEZONE
+  ];
+  const stamp = formatIcsUtc(new Date());
+  sessions.forEach(session => {
+    const start = new Date(session.id);
+    const end = new Date(start.getTime() + (session.duration || 60) * 60 * 1000);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${session.id.replace(/[^0-9A-Za-z]/g, '')}@ask4fitness`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;TZID=Europe/Oslo:${formatIcsOslo(start)}`,
+      `DTEND;TZID=Europe/Oslo:${formatIcsOslo(end)}`,
+      `SUMMARY:${escapeIcsText('Ask4Booty')}`,
+      `SEQUENCE:${session.revision || 0}`,
+      `STATUS:${session.cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+    );
+    if (session.location) lines.push(`LOCATION:${escapeIcsText(session.location)}`);
+    if (session.note) lines.push(`DESCRIPTION:${escapeIcsText(session.note)}`);
+    if (session.updatedAt) lines.push(`LAST-MODIFIED:${formatIcsUtc(new Date(session.updatedAt))}`);
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+function formatIcsUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Wall-clock time in Oslo, independent of the device time zone
+function formatIcsOslo(date) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone: 'Europe/Oslo', year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+  return `${parts.year}${parts.month}${parts.day}T${parts.hour}${parts.minute}${parts.second}`;
+}
+
+function escapeIcsText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Fold lines longer than 75 octets as required by RFC 5545
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= 75) return line;
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length ? 74 : 75;
+    if (encoder.encode(current + char).length > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+// The feed is a public .ics file in Supabase Storage (bucket "calendar")
+const CALENDAR_BUCKET = 'calendar';
+const CALENDAR_FILE = 'ask4fitness.ics';
+
+function getCalendarFeedUrl() {
+  if (!supabase) return null;
+  const { data } = supabase.storage.from(CALENDAR_BUCKET).getPublicUrl(CALENDAR_FILE);
+  return data.publicUrl.replace(/^https?:/, 'webcal:');
+}
+
+/**
+ * Regenerate the subscribable calendar feed from all sessions, including
+ * past, cancelled and removed ones, so calendar apps see reschedules and
+ * cancellations on their next refresh. No-op without Supabase.
+ */
+async function publishCalendarFeed() {
+  if (!supabase) return;
+  const sessions = await loadSessions(true);
+  const blob = new Blob([buildCalendar(sessions)], { type: 'text/calendar;charset=utf-8' });
+  const { error } = await supabase.storage.from(CALENDAR_BUCKET).upload(CALENDAR_FILE, blob, {
+    upsert: true,
+    contentType: 'text/calendar;charset=utf-8',
+    cacheControl: '300'
+  });
+  if (error) console.error(error);
+}
+
+// ==== Public scoreboard links ====
+//
+// A public link carries a snapshot of the scoreboard in the URL hash of
+// public.html: "v2.<payload>[.<signature>]", both base64url encoded. The
+// payload is signed with an ECDSA key created by the owner; public.html
+// verifies it against the public keys listed in TRUSTED_SNAPSHOT_KEYS there,
+// plus those it reads from snapshot_public_keys when Supabase is set up, and
+// shows whether the content is unchanged.
+
+const SNAPSHOT_LINK_VERSION = 'v2';
+const SNAPSHOT_KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SNAPSHOT_SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+// Edge Function that signs links in Supabase mode, see the header comment
+const SNAPSHOT_SIGN_FUNCTION = 'sign-snapshot';
+
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+// The signing key pair, or null when the owner has not created one. With
+// Supabase only owners can read it, to show the public key in the admin
+// panel. Not read through the offline cache so the private key is not
+// copied around.
+async function loadSnapshotKey() {
+  if (supabase) {
+    const { data, error } = await supabase.from('snapshot_keys').select().eq('id', 1).maybeSingle();
+    if (error) console.error(error);
+    return data ? { privateKey: data.privateKey, publicKey: data.publicKey, createdAt: data.createdAt } : null;
+  }
+  const stored = localStorage.getItem(LS_SNAPSHOT_KEY);
+  return stored ? JSON.parse(stored) : null;
+}
+
+async function saveSnapshotKey(key) {
+  requirePermission('sharing.manage');
+  if (supabase) {
+    const { error } = await remoteWrite({ table: 'snapshot_keys', action: 'upsert', values: { id: 1, ...key } });
+    if (error) console.error(error);
+    // Published separately so public.html never needs the private key table
+    const published = await remoteWrite({ table: 'snapshot_public_keys', action: 'insert', values: { id: generateId(), publicKey: key.publicKey, createdAt: key.createdAt } });
+    if (published.error) console.error(published.error);
+  } else {
+    localStorage.setItem(LS_SNAPSHOT_KEY, JSON.stringify(key));
+  }
+}
+
+/**
+ * Create a new signing key pair. Links signed with the previous key stop
+ * verifying once its public key is removed from public.html or
+ * snapshot_public_keys.
+ * @returns {Promise<Object>} { privateKey, publicKey (both JWK), createdAt }
+ */
+async function generateSnapshotKey() {
+  const pair = await crypto.subtle.generateKey(SNAPSHOT_KEY_ALGORITHM, true, ['sign', 'verify']);
+  const key = {
+    privateKey: await crypto.subtle.exportKey('jwk', pair.privateKey),
+    publicKey: await crypto.subtle.exportKey('jwk', pair.publicKey),
+    createdAt: new Date().toISOString()
+  };
+  await saveSnapshotKey(key);
+  return key;
+}
+
+// "Ola Nordmann" → "O.N."
+function toInitials(name) {
+  return name.trim().split(/\s+/).map(part => part.charAt(0).toUpperCase() + '.').join('');
+}
+
+/**
+ * Build the data shown by public.html, applying the privacy options of
+ * this share.
+ * @param {Array} entries Scoreboard entries with name, points, bestCount,
+ *   badges and hideFromPublic
+ * @param {string} shoutout Latest shoutout
+ * @param {Object} options { names: 'full' or 'initials', hideOptedOut,
+ *   includeShoutout }
+ * @returns {Object} Snapshot payload
+ */
+function buildPublicSnapshot(entries, shoutout, options) {
+  return {
+    createdAt: new Date().toISOString(),
+    participants: entries
+      .filter(e => !(options.hideOptedOut && e.hideFromPublic))
+      .map(e => ({
+        name: options.names === 'initials' ? toInitials(e.name) : e.name,
+        points: e.points,
+        bestCount: e.bestCount,
+        badges: e.badges
+      })),
+    shoutout: options.includeShoutout ? shoutout : ''
+  };
+}
+
+/**
+ * Sign a snapshot payload. With Supabase the private key stays on the
+ * server and the sign-snapshot Edge Function signs for owners and coaches;
+ * in localStorage mode the key in this browser is used.
+ * @param {Uint8Array} bytes Payload
+ * @returns {Promise<Uint8Array|null>} null when no key has been created
+ */
+async function signSnapshot(bytes) {
+  if (supabase) {
+    const { data, error } = await supabase.functions.invoke(SNAPSHOT_SIGN_FUNCTION, { body: { payload: toBase64Url(bytes) } });
+    if (error) {
+      console.error(error);
+      throw new Error('Kunne ikke signere lenken. Prøv igjen om litt.');
+    }
+    return data && data.signature ? fromBase64Url(data.signature) : null;
+  }
+  const key = await loadSnapshotKey();
+  if (!key) return null;
+  const privateKey = await crypto.subtle.importKey('jwk', key.privateKey, SNAPSHOT_KEY_ALGORITHM, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign(SNAPSHOT_SIGN_ALGORITHM, privateKey, bytes));
+}
+
+/**
+ * Encode a snapshot for the public.html hash, signed when a key exists.
+ * @param {Object} payload From buildPublicSnapshot()
+ * @returns {Promise<{hash: string, signed: boolean}>}
+ */
+async function encodePublicSnapshot(payload) {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  const encoded = `${SNAPSHOT_LINK_VERSION}.${toBase64Url(bytes)}`;
+  const signature = await signSnapshot(bytes);
+  if (!signature) return { hash: encoded, signed: false };
+  return { hash: `${encoded}.${toBase64Url(signature)}`, signed: true };
+}
+
+/**
+ * Render the privacy options for a public link and copy the link.
+ * @param {Array} entries Scoreboard entries, see buildPublicSnapshot()
+ * @param {string} shoutout Latest shoutout
+ * @returns {HTMLElement}
+ */
+function renderShareOptions(entries, shoutout) {
+  const div = document.createElement('div');
+  div.className = 'share-options hidden';
+  div.innerHTML = `
+    <label>Navn
+      <select class="share-names">
+        <option value="full">Fullt navn</option>
+        <option value="initials">Bare initialer</option>
+      </select>
+    </label>
+    <label><input type="checkbox" class="share-hide" checked /> Skjul deltakere som har reservert seg</label>
+    <label><input type="checkbox" class="share-shoutout" checked /> Ta med shoutout</label>
+  `;
+  const copyBtn = document.createElement('button');
+  copyBtn.className = 'btn';
+  copyBtn.textContent = 'Kopier lenke';
+  copyBtn.onclick = async () => {
+    const payload = buildPublicSnapshot(entries, shoutout, {
+      names: div.querySelector('.share-names').value,
+      hideOptedOut: div.querySelector('.share-hide').checked,
+      includeShoutout: div.querySelector('.share-shoutout').checked
+    });
+    let link;
+    try {
+      link = await encodePublicSnapshot(payload);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    const { hash, signed } = link;
+    const url = `${location.origin}${location.pathname.replace(/\/[\w.-]*$/, '')}/public.html#${hash}`;
+    await navigator.clipboard.writeText(url);
+    alert(signed
+      ? 'Offentlig lenke kopiert til utklippstavlen'
+      : 'Lenken er kopiert, men er ikke signert. Eieren kan lage en signeringsnøkkel i adminpanelet.');
+  };
+  div.appendChild(copyBtn);
+  return div;
+}
+
+// ==== Blob storage ====
+//
+// Audio cues, attachments and other files are kept out of the JSON records,
+// which only hold a reference: "idb:<id>" for a blob in this browser's
+// IndexedDB (localStorage mode), or the public URL of the file in the
+// "media" Storage bucket (Supabase mode). Records saved by older versions
+// hold data URLs; those are moved out the next time the record is saved.
+
+const BLOB_DB = 'ask4fitness';
+const BLOB_STORE = 'blobs';
+const BLOB_REF_PREFIX = 'idb:';
+const MEDIA_BUCKET = 'media';
+// localStorage keys of records that may reference blobs, see pruneUnusedBlobs()
+const BLOB_RECORD_KEYS = [LS_WORKOUTS, LS_MESSAGES, LS_EXERCISES];
+
+let blobDbPromise = null;
+// Object URLs already handed out, so each blob is only read once per page
+const blobUrls = new Map();
+
+function openBlobDb() {
+  if (!blobDbPromise) {
+    blobDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(BLOB_DB, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(BLOB_STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return blobDbPromise;
+}
+
+// Run one request against the blob store and wait for its transaction
+async function blobRequest(mode, makeRequest) {
+  const db = await openBlobDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(BLOB_STORE, mode);
+    const request = makeRequest(tx.objectStore(BLOB_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(storageError(tx.error));
+    tx.onabort = () => reject(storageError(tx.error));
+  });
+}
+
+function isBlobRef(value) {
+  return typeof value === 'string' && value.startsWith(BLOB_REF_PREFIX);
+}
+
+function isQuotaError(err) {
+  return !!err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED' || err.code === 22);
+}
+
+// Turn a failed write into an error the user can act on
+function storageError(err) {
+  if (isQuotaError(err)) {
+    return new Error('Lagringsplassen i nettleseren er full. Slett gamle økter eller vedlegg, eller ta en backup og tøm nettleserdata.');
+  }
+  return err || new Error('Kunne ikke lagre data i nettleseren.');
+}
+
+// Store JSON under a localStorage key with a clear error when it is full
+function setLocalJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    throw storageError(err);
+  }
+}
+
+async function putBlob(blob, ref = BLOB_REF_PREFIX + generateId()) {
+  await blobRequest('readwrite', store => store.put(blob, ref.slice(BLOB_REF_PREFIX.length)));
+  // Ask the browser not to evict stored files under storage pressure
+  if (navigator.storage && navigator.storage.persist) navigator.storage.persist();
+  return ref;
+}
+
+async function getBlob(ref) {
+  return blobRequest('readonly', store => store.get(ref.slice(BLOB_REF_PREFIX.length)));
+}
+
+async function uploadMedia(blob) {
+  const path = generateId();
+  const { error } = await supabase.storage.from(MEDIA_BUCKET).upload(path, blob, { contentType: blob.type || 'application/octet-stream' });
+  if (error) throw new Error(`Kunne ikke laste opp filen: ${error.message}`);
+  return supabase.storage.from(MEDIA_BUCKET).getPublicUrl(path).data.publicUrl;
+}
+
+/**
+ * Move a file out of a record. Blobs and data URLs are stored in the active
+ * backend and replaced by a reference; references and URLs are returned
+ * unchanged. With Supabase the file must be uploaded before the record is
+ * saved, so this fails with a clear message when the device is offline
+ * instead of queueing a record other devices cannot open.
+ * @param {Blob|string} value File, data URL or existing reference
+ * @returns {Promise<string>} Reference to store in the record
+ */
+async function storeBlob(value) {
+  if (typeof value === 'string' && value.startsWith('data:')) {
+    value = await (await fetch(value)).blob();
+  }
+  if (!(value instanceof Blob)) return value;
+  if (!supabase) return putBlob(value);
+  const offline = new Error('Filer kan bare lastes opp med nettilgang. Prøv igjen når du er på nett.');
+  if (!navigator.onLine) throw offline;
+  try {
+    return await uploadMedia(value);
+  } catch (err) {
+    throw isNetworkError(err) ? offline : err;
+  }
+}
+
+/**
+ * URL a stored file can be played or downloaded from.
+ * @param {string} ref Reference, URL or legacy data URL
+ * @returns {Promise<string|null>} null when the blob is missing
+ */
+async function resolveBlobUrl(ref) {
+  if (!isBlobRef(ref)) return ref || null;
+  if (!blobUrls.has(ref)) {
+    const blob = await getBlob(ref);
+    if (!blob) return null;
+    blobUrls.set(ref, URL.createObjectURL(blob));
+  }
+  return blobUrls.get(ref);
+}
+
+// All blob references found anywhere in a value
+function collectBlobRefs(value, refs = new Set()) {
+  if (isBlobRef(value)) refs.add(value);
+  else if (value && typeof value === 'object') Object.values(value).forEach(v => collectBlobRefs(v, refs));
+  return refs;
+}
+
+// Copy of a value with every blob reference replaced by `await fn(ref)`
+async function mapBlobRefs(value, fn) {
+  if (isBlobRef(value)) return fn(value);
+  if (Array.isArray(value)) return Promise.all(value.map(v => mapBlobRefs(v, fn)));
+  if (value && typeof value === 'object') {
+    const copy = {};
+    for (const key of Object.keys(value)) copy[key] = await mapBlobRefs(value[key], fn);
+    return copy;
+  }
+  return value;
+}
+
+// Delete blobs no longer referenced by any record in localStorage
+async function pruneUnusedBlobs() {
+  const used = new Set();
+  BLOB_RECORD_KEYS.forEach(key => {
+    const stored = localStorage.getItem(key);
+    if (stored) collectBlobRefs(JSON.parse(stored), used);
+  });
+  try {
+    const ids = await blobRequest('readonly', store => store.getAllKeys());
+    for (const id of ids) {
+      if (!used.has(BLOB_REF_PREFIX + id)) await blobRequest('readwrite', store => store.delete(id));
+    }
+  } catch (err) {
+    // Cleanup is best effort; leftovers are removed after the next save
+    console.error(err);
+  }
+}
+
+/**
+ * How much storage this origin uses, when the browser can tell.
+ * @returns {Promise<{usage: number, quota: number}|null>}
+ */
+async function getStorageEstimate() {
+  if (!navigator.storage || !navigator.storage.estimate) return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage, quota };
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} kB`;
+  return `${(bytes / (1024 * 1024)).toLocaleString('no-NO', { maximumFractionDigits: 1 })} MB`;
+}
+
+// ==== Workouts feature ====
+
+/**
+ * Render the workouts overview page. Lists all existing workouts, allows
+ * creating new ones, editing and deleting, and starting a workout timer.
+ */
+async function renderWorkouts() {
+  const container = document.getElementById('content');
+  container.innerHTML = '';
+  const workouts = await loadWorkouts();
+  const header = document.createElement('div');
+  header.innerHTML = '<h2>Økter</h2><p>Her kan du lage dine egne treningsprogrammer eller starte en tidligere lagret økt.</p>';
+  container.appendChild(header);
+  const list = document.createElement('ul');
+  workouts.forEach((wo, idx) => {
+    const li = document.createElement('li');
+    li.style.marginBottom = '0.5rem';
+    // Names come from users and shared files, so they are set as text
+    li.appendChild(document.createElement('strong')).textContent = wo.name;
+    const startBtn = document.createElement('button');
+    startBtn.className = 'btn';
+    startBtn.textContent = 'Start';
+    startBtn.style.marginLeft = '0.5rem';
+    startBtn.onclick = () => navigate(`/workouts/${encodeURIComponent(wo.id)}/play`);
+    const editBtn = document.createElement('button');
+    editBtn.className = 'btn';
+    editBtn.textContent = 'Rediger';
+    editBtn.style.marginLeft = '0.5rem';
+    editBtn.onclick = () => navigate(`/workouts/${encodeURIComponent(wo.id)}/edit`);
+    const historyBtn = document.createElement('button');
+    historyBtn.className = 'btn';
+    historyBtn.textContent = 'Historikk';
+    historyBtn.style.marginLeft = '0.5rem';
+    historyBtn.onclick = () => navigate(`/workouts/${encodeURIComponent(wo.id)}/history`);
+    const delBtn = document.createElement('button');
+    delBtn.className = 'btn';
+    delBtn.textContent = 'Slett';
+    delBtn.style.marginLeft = '0.5rem';
+    delBtn.onclick = async () => {
+      if (confirm('Er du sikker på at du vil slette dette programmet?')) {
+        try {
+          await deleteWorkout(wo);
+        } catch (err) {
+          alert(err.message);
+          return;
+        }
+        navigate('/workouts');
+      }
+    };
+    // Workouts made by others (e.g. program workouts) can only be started
+    const editable = canEditWorkout(wo);
+    li.appendChild(startBtn);
+    if (editable) li.appendChild(editBtn);
+    const shareBtn = document.createElement('button');
+    shareBtn.className = 'btn';
+    shareBtn.textContent = 'Del';
+    shareBtn.style.marginLeft = '0.5rem';
+    const shareOptions = renderWorkoutShareOptions(wo);
+    shareBtn.onclick = () => shareOptions.classList.toggle('hidden');
+    li.appendChild(historyBtn);
+    li.appendChild(shareBtn);
+    if (editable) li.appendChild(delBtn);
+    li.appendChild(shareOptions);
+    list.appendChild(li);
+  });
+  container.appendChild(list);
+  const addBtn = document.createElement('button');
+  addBtn.className = 'btn';
+  addBtn.textContent = 'Ny økt';
+  addBtn.onclick = () => navigate('/workouts/new');
+  container.appendChild(addBtn);
+  // Shared files and the starter library
+  const more = document.createElement('div');
+  more.innerHTML = `
+    <h3>Importer</h3>
+    <div class="form-group">
+      <label for="workout-file">Økt fra fil</label>
+      <input id="workout-file" type="file" accept="application/json,.json" />
+    </div>
+    <div class="form-group">
+      <label for="template-select">Maler</label>
+      <select id="template-select" style="width:auto;">
+        ${WORKOUT_TEMPLATES.map((t, i) => `<option value="${i}">${t.workout.name}</option>`).join('')}
+      </select>
+      <button id="add-template" class="btn" style="margin-left:0.5rem;">Legg til mal</button>
+    </div>
+  `;
+  container.appendChild(more);
+  document.getElementById('workout-file').onchange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    let doc = null;
+    try {
+      doc = JSON.parse(await file.text());
+    } catch (err) {
+      // Shown as invalid by the import page
+    }
+    renderWorkoutImport(doc);
+  };
+  document.getElementById('add-template').onclick = async () => {
+    const template = WORKOUT_TEMPLATES[document.getElementById('template-select').value];
+    const workout = importWorkout(template);
+    try {
+      await addImportedWorkout(workout);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    navigate(`/workouts/${encodeURIComponent(workout.id)}/edit`);
+  };
+}
+
+function createWorkout() {
+  return { id: Date.now().toString(), name: 'Ny økt', blocks: [createBlock()], audio: {}, voice: createVoiceSettings(), ownerId: currentSession ? currentSession.user.id : null };
+}
+
+// Users change the workouts they made themselves. Coaches change all of
+// them, including program workouts and those made before owners were
+// recorded.
+function canEditWorkout(workout) {
+  if (!currentSession) return false;
+  return workout.ownerId === currentSession.user.id || can('programs.manage');
+}
+
+function requireWorkoutOwner(workout) {
+  if (!canEditWorkout(workout)) {
+    throw new Error('Du kan bare endre økter du har laget selv.');
+  }
+}
+
+async function deleteWorkout(workout) {
+  requireWorkoutOwner(workout);
+  if (supabase) {
+    await remoteWrite({ table: 'workouts', action: 'delete', match: { id: workout.id } });
+  } else {
+    const workouts = await loadWorkouts();
+    setLocalJson(LS_WORKOUTS, workouts.filter(w => w.id !== workout.id));
+    await pruneUnusedBlobs();
+  }
+}
+
+/*
+ * Workouts are made of blocks. A block has a type (warm-up, main or
+ * cool-down), is repeated `rounds` times with `restBetweenRounds` seconds
+ * in between, and holds items: exercises ({ kind: 'exercise', name, work,
+ * rest, sets, exerciseId? }) or nested blocks ({ kind: 'block', ... }),
+ * so circuits and supersets can be expressed. Workouts saved before
+ * blocks existed have a flat `exercises` list instead; normalizeWorkout()
+ * converts them.
+ */
+
+const BLOCK_TYPES = [
+  { id: 'warmup', label: 'Oppvarming' },
+  { id: 'main', label: 'Hoveddel' },
+  { id: 'cooldown', label: 'Nedtrapping' }
+];
+
+function createExercise(fields = {}) {
+  return { kind: 'exercise', name: '', work: 30, rest: 10, sets: 1, ...fields };
+}
+
+function createBlock(fields = {}) {
+  return { kind: 'block', id: generateId(), name: '', type: 'main', rounds: 1, restBetweenRounds: 0, items: [], ...fields };
+}
+
+// One-click interval formats, each creating a block for the editor
+const WORKOUT_PRESETS = [
+  {
+    id: 'tabata',
+    label: 'Tabata (8 × 20/10 s)',
+    create: () => createBlock({ name: 'Tabata', rounds: 8, items: [createExercise({ name: 'Øvelse', work: 20, rest: 10 })] })
+  },
+  {
+    id: 'emom',
+    label: 'EMOM (10 min)',
+    // Every minute on the minute: the reps are done at the start of each
+    // minute and the rest of the minute is recovery
+    create: () => createBlock({ name: 'EMOM', rounds: 10, items: [createExercise({ name: 'Repetisjoner ved minuttstart', work: 60, rest: 0 })] })
+  },
+  {
+    id: 'amrap',
+    label: 'AMRAP (12 min)',
+    create: () => createBlock({ name: 'AMRAP', items: [createExercise({ name: 'Så mange runder som mulig', work: 12 * 60, rest: 0 })] })
+  },
+  {
+    id: 'pyramid',
+    label: 'Pyramide (20–50–20 s)',
+    create: () => createBlock({
+      name: 'Pyramide',
+      items: [20, 30, 40, 50, 40, 30, 20].map(work => createExercise({ name: 'Øvelse', work, rest: 15 }))
+    })
+  },
+  {
+    id: 'circuit',
+    label: 'Sirkel (3 runder × 5 øvelser)',
+    create: () => createBlock({
+      name: 'Sirkel',
+      rounds: 3,
+      restBetweenRounds: 60,
+      items: [1, 2, 3, 4, 5].map(n => createExercise({ name: `Øvelse ${n}`, work: 40, rest: 20 }))
+    })
+  },
+  {
+    id: 'warmup',
+    label: 'Oppvarming (5 min)',
+    create: () => createBlock({ name: 'Oppvarming', type: 'warmup', items: [createExercise({ name: 'Lett bevegelse', work: 5 * 60, rest: 0 })] })
+  },
+  {
+    id: 'cooldown',
+    label: 'Nedtrapping (5 min)',
+    create: () => createBlock({ name: 'Nedtrapping', type: 'cooldown', items: [createExercise({ name: 'Tøying', work: 5 * 60, rest: 0 })] })
+  }
+];
+
+/**
+ * Bring a workout to the block model. Flat workouts become one main block.
+ * @param {Object} workout
+ * @returns {Object} The workout with `blocks` and without `exercises`
+ */
+function normalizeWorkout(workout) {
+  if (Array.isArray(workout.blocks)) return workout;
+  const { exercises, ...rest } = workout;
+  const blocks = (exercises || []).length
+    ? [createBlock({ items: exercises.map(ex => createExercise(ex)) })]
+    : [];
+  return { ...rest, blocks };
+}
+
+/**
+ * Flatten a workout into the timed segments the player runs through. Rest
+ * between rounds replaces the rest after the round's last exercise, and
+ * the workout does not end on a rest.
+ * @param {Object} workout Workout in either model
+ * @returns {Array<{type: string, name: string, duration: number, block:
+ *   string, round: number, rounds: number}>} type is 'work' or 'rest';
+ *   work segments also have `set`, `sets` and `exerciseId`
+ */
+function buildSequence(workout) {
+  const sequence = [];
+  const addRest = (name, duration, context) => {
+    if (duration <= 0) return;
+    if (sequence.length && sequence[sequence.length - 1].type === 'rest') sequence.pop();
+    sequence.push({ type: 'rest', name, duration, ...context });
+  };
+  const addBlock = (block, parentLabel) => {
+    const label = block.name || (BLOCK_TYPES.find(t => t.id === block.type) || BLOCK_TYPES[1]).label;
+    const blockLabel = parentLabel ? `${parentLabel} › ${label}` : label;
+    const rounds = Math.max(1, block.rounds || 1);
+    for (let round = 1; round <= rounds; round++) {
+      const context = { block: blockLabel, round, rounds };
+      block.items.forEach(item => {
+        if (item.kind === 'block') {
+          addBlock(item, blockLabel);
+          return;
+        }
+        const sets = Math.max(1, item.sets || 1);
+        for (let s = 0; s < sets; s++) {
+          if (item.work > 0) sequence.push({ type: 'work', name: item.name, exerciseId: item.exerciseId, duration: item.work, set: s + 1, sets, ...context });
+          if (item.rest > 0) sequence.push({ type: 'rest', name: 'Pause', duration: item.rest, ...context });
+        }
+      });
+      if (round < rounds) addRest('Pause mellom runder', block.restBetweenRounds || 0, context);
+    }
+  };
+  normalizeWorkout(workout).blocks.forEach(block => addBlock(block, ''));
+  while (sequence.length && sequence[sequence.length - 1].type === 'rest') sequence.pop();
+  return sequence;
+}
+
+// 75 → "1:15"
+function formatDuration(seconds) {
+  const s = Math.max(0, Math.round(seconds));
+  const pad = n => String(n).padStart(2, '0');
+  return s >= 3600
+    ? `${Math.floor(s / 3600)}:${pad(Math.floor(s / 60) % 60)}:${pad(s % 60)}`
+    : `${Math.floor(s / 60)}:${pad(s % 60)}`;
+}
+
+function sequenceDuration(sequence) {
+  return sequence.reduce((sum, seg) => sum + seg.duration, 0);
+}
+
+/**
+ * Render the editor of one block: its settings, its items and nested
+ * blocks. Changes are made to `block` directly.
+ * @param {Object} block Block to edit
+ * @param {Function} onRemove Removes the block from its parent
+ * @param {Function} onChange Called after any change that affects timing
+ * @param {Array} catalog Exercise library, to link picked names
+ * @returns {HTMLElement}
+ */
+function renderBlockEditor(block, onRemove, onChange, catalog = []) {
+  const div = document.createElement('div');
+  div.className = 'workout-block';
+  div.innerHTML = `
+    <div class="block-settings">
+      <input type="text" class="block-name" placeholder="Navn på blokken" />
+      <select class="block-type">
+        ${BLOCK_TYPES.map(t => `<option value="${t.id}">${t.label}</option>`).join('')}
+      </select>
+      <label>Runder <input type="number" class="block-rounds" min="1" /></label>
+      <label>Pause mellom runder (s) <input type="number" class="block-rest" min="0" /></label>
+      <button class="btn block-remove">Fjern blokk</button>
+    </div>
+    <div class="block-items"></div>
+    <button class="btn block-add-exercise">Legg til øvelse</button>
+    <button class="btn block-add-block" style="margin-left:0.5rem;">Legg til underblokk</button>
+  `;
+  const settings = div.querySelector('.block-settings');
+  settings.querySelector('.block-name').value = block.name;
+  settings.querySelector('.block-name').oninput = (e) => { block.name = e.target.value; };
+  settings.querySelector('.block-type').value = block.type;
+  settings.querySelector('.block-type').onchange = (e) => { block.type = e.target.value; };
+  settings.querySelector('.block-rounds').value = block.rounds;
+  settings.querySelector('.block-rounds').oninput = (e) => { block.rounds = parseInt(e.target.value) || 1; onChange(); };
+  settings.querySelector('.block-rest').value = block.restBetweenRounds;
+  settings.querySelector('.block-rest').oninput = (e) => { block.restBetweenRounds = parseInt(e.target.value) || 0; onChange(); };
+  settings.querySelector('.block-remove').onclick = onRemove;
+  const itemsDiv = div.querySelector('.block-items');
+  function refreshItems() {
+    itemsDiv.innerHTML = '';
+    block.items.forEach((item, idx) => {
+      const remove = () => {
+        block.items.splice(idx, 1);
+        refreshItems();
+        onChange();
+      };
+      if (item.kind === 'block') {
+        itemsDiv.appendChild(renderBlockEditor(item, remove, onChange, catalog));
+        return;
+      }
+      const row = document.createElement('div');
+      row.className = 'exercise-row';
+      row.innerHTML = `
+        <input type="text" placeholder="Navn" list="exercise-catalog" style="width:30%;" />
+        <input type="number" placeholder="Arbeid (s)" title="Arbeid (s)" style="width:20%;margin-left:0.5rem;" />
+        <input type="number" placeholder="Pause (s)" title="Pause (s)" style="width:20%;margin-left:0.5rem;" />
+        <input type="number" placeholder="Sett" title="Sett" style="width:15%;margin-left:0.5rem;" />
+        <button class="btn" style="margin-left:0.5rem;">Fjern</button>
+      `;
+      const inputs = row.querySelectorAll('input');
+      inputs[0].value = item.name;
+      inputs[1].value = item.work;
+      inputs[2].value = item.rest;
+      inputs[3].value = item.sets;
+      inputs[0].oninput = (e) => {
+        item.name = e.target.value;
+        // Names picked from the library link to it
+        const match = catalog.find(ex => exerciseKey(ex.name) === exerciseKey(item.name));
+        if (match) item.exerciseId = match.id;
+        else delete item.exerciseId;
+      };
+      inputs[1].oninput = (e) => { item.work = parseInt(e.target.value) || 0; onChange(); };
+      inputs[2].oninput = (e) => { item.rest = parseInt(e.target.value) || 0; onChange(); };
+      inputs[3].oninput = (e) => { item.sets = parseInt(e.target.value) || 1; onChange(); };
+      row.querySelector('button').onclick = remove;
+      itemsDiv.appendChild(row);
+    });
+  }
+  div.querySelector('.block-add-exercise').onclick = () => {
+    block.items.push(createExercise());
+    refreshItems();
+    onChange();
+  };
+  div.querySelector('.block-add-block').onclick = () => {
+    block.items.push(createBlock({ name: 'Supersett', rounds: 2 }));
+    refreshItems();
+    onChange();
+  };
+  refreshItems();
+  return div;
+}
+
+/**
+ * Look up a workout by id for a route and render it, or show a message
+ * when the link points to a workout that no longer exists.
+ * @param {string} id Workout id from the route
+ * @param {Function} render Called with the workout when found
+ */
+async function withWorkout(id, render) {
+  const workouts = await loadWorkouts();
+  const workout = workouts.find(w => w.id === id);
+  if (!workout) {
+    const container = document.getElementById('content');
+    container.innerHTML = '<h2>Fant ikke økten</h2><p>Økten finnes ikke lenger. Gå tilbake til oversikten under "Økter".</p>';
+    return;
+  }
+  render(workout);
+}
+
+// ==== Exercise library ====
+
+/*
+ * Coaches keep a catalog of exercises: { id, name, description, cues
+ * (list of short coaching cues), muscles, equipment, media, mediaType
+ * ('image' or 'video'), updatedAt }. `media` is a blob storage reference.
+ * Exercises in workouts point at the catalog with `exerciseId` when their
+ * name was picked from it; workouts without the id, e.g. imported ones,
+ * are matched by name.
+ */
+
+const MUSCLE_GROUPS = ['Sete', 'Forside lår', 'Bakside lår', 'Legger', 'Mage', 'Rygg', 'Bryst', 'Skuldre', 'Armer', 'Hele kroppen'];
+
+function createCatalogExercise() {
+  return { id: generateId(), name: '', description: '', cues: [], muscles: [], equipment: [], media: null, mediaType: null };
+}
+
+async function loadExercises() {
+  let exercises;
+  if (supabase) {
+    const { data, error } = await remoteRead('exercises', supabase.from('exercises').select());
+    if (error) console.error(error);
+    exercises = data || [];
+  } else {
+    const stored = localStorage.getItem(LS_EXERCISES);
+    exercises = stored ? JSON.parse(stored) : [];
+  }
+  return exercises.sort((a, b) => a.name.localeCompare(b.name, 'no'));
+}
+
+async function saveExercise(exercise) {
+  requirePermission('exercises.manage');
+  // The image or video goes to blob storage; the record keeps a reference
+  const values = { ...exercise, media: exercise.media ? await storeBlob(exercise.media) : null, updatedAt: new Date().toISOString() };
+  if (supabase) {
+    const { error } = await remoteWrite({ table: 'exercises', action: 'upsert', values, options: { onConflict: 'id' } });
+    if (error) console.error(error);
+  } else {
+    const exercises = (await loadExercises()).filter(e => e.id !== exercise.id);
+    exercises.push(values);
+    setLocalJson(LS_EXERCISES, exercises);
+    await pruneUnusedBlobs();
+  }
+}
+
+async function removeExercise(id) {
+  requirePermission('exercises.manage');
+  if (supabase) {
+    await remoteWrite({ table: 'exercises', action: 'delete', match: { id } });
+  } else {
+    const exercises = (await loadExercises()).filter(e => e.id !== id);
+    setLocalJson(LS_EXERCISES, exercises);
+    await pruneUnusedBlobs();
+  }
+}
+
+// The catalog entry of an exercise or sequence segment, if any
+function findCatalogExercise(catalog, item) {
+  return catalog.find(e => item.exerciseId && e.id === item.exerciseId) ||
+    catalog.find(e => exerciseKey(e.name) === exerciseKey(item.name)) ||
+    null;
+}
+
+/**
+ * How to do an exercise: media, muscles and equipment, and unless
+ * `compact`, the description and cues.
+ * @param {Object} exercise Catalog entry
+ * @param {boolean} compact Leave out description and cues
+ * @returns {HTMLElement}
+ */
+function renderExerciseCard(exercise, compact = false) {
+  const div = document.createElement('div');
+  div.className = 'exercise-card';
+  if (exercise.media) {
+    const media = document.createElement(exercise.mediaType === 'video' ? 'video' : 'img');
+    if (exercise.mediaType === 'video') {
+      media.autoplay = true;
+      media.muted = true;
+      media.loop = true;
+      media.playsInline = true;
+    } else {
+      media.alt = exercise.name;
+    }
+    resolveBlobUrl(exercise.media).then(url => { if (url) media.src = url; });
+    div.appendChild(media);
+  }
+  const tags = [...(exercise.muscles || []), ...(exercise.equipment || [])];
+  if (tags.length) {
+    const p = document.createElement('p');
+    p.className = 'exercise-tags';
+    p.textContent = tags.join(' · ');
+    div.appendChild(p);
+  }
+  if (!compact) {
+    if (exercise.description) {
+      const p = document.createElement('p');
+      p.textContent = exercise.description;
+      div.appendChild(p);
+    }
+    if ((exercise.cues || []).length) {
+      const ul = document.createElement('ul');
+      ul.className = 'exercise-cues';
+      exercise.cues.forEach(cue => {
+        const li = document.createElement('li');
+        li.textContent = cue;
+        ul.appendChild(li);
+      });
+      div.appendChild(ul);
+    }
+  }
+  return div;
+}
+
+// Names for the editor's autocomplete
+function renderExerciseDatalist(catalog) {
+  const list = document.createElement('datalist');
+  list.id = 'exercise-catalog';
+  catalog.forEach(e => {
+    const option = document.createElement('option');
+    option.value = e.name;
+    list.appendChild(option);
+  });
+  return list;
+}
+
+/**
+ * Render the exercise catalog for coaches.
+ */
+async function renderExercises() {
+  const container = document.getElementById('content');
+  container.innerHTML = '';
+  const header = document.createElement('div');
+  header.innerHTML = '<h2>Øvelsesbank</h2><p>Øvelsene her foreslås når du skriver navn i øktredigeringen, og spilleren viser bilde, video og tips under økten.</p>';
+  container.appendChild(header);
+  const exercises = await loadExercises();
+  const list = document.createElement('ul');
+  exercises.forEach(exercise => {
+    const li = document.createElement('li');
+    li.style.marginBottom = '0.5rem';
+    li.innerHTML = '<strong></strong> <span class="exercise-tags"></span>';
+    li.querySelector('strong').textContent = exercise.name;
+    li.querySelector('span').textContent = (exercise.muscles || []).join(', ');
+    const editBtn = document.createElement('button');
+    editBtn.className = 'btn';
+    editBtn.textContent = 'Rediger';
+    editBtn.style.marginLeft = '0.5rem';
+    editBtn.onclick = () => navigate(`/exercises/${encodeURIComponent(exercise.id)}`);
+    const delBtn = document.createElement('button');
+    delBtn.className = 'btn';
+    delBtn.textContent = 'Slett';
+    delBtn.style.marginLeft = '0.5rem';
+    delBtn.onclick = async () => {
+      if (!confirm(`Slette «${exercise.name}» fra øvelsesbanken? Øktene beholder navnet.`)) return;
+      await removeExercise(exercise.id);
+      renderExercises();
+    };
+    li.appendChild(editBtn);
+    li.appendChild(delBtn);
+    list.appendChild(li);
+  });
+  container.appendChild(list);
+  const addBtn = document.createElement('button');
+  addBtn.className = 'btn';
+  addBtn.textContent = 'Ny øvelse';
+  addBtn.onclick = () => navigate('/exercises/new');
+  container.appendChild(addBtn);
+}
+
+/**
+ * Render the editor of one catalog exercise.
+ * @param {Object} exercise Exercise to edit
+ */
+async function renderExerciseEditor(exercise) {
+  const container = document.getElementById('content');
+  container.innerHTML = '';
+  const wrapper = document.createElement('div');
+  wrapper.innerHTML = `
+    <h2>Rediger øvelse</h2>
+    <div class="form-group">
+      <label for="exercise-name">Navn</label>
+      <input id="exercise-name" type="text" />
+    </div>
+    <div class="form-group">
+      <label for="exercise-description">Beskrivelse</label>
+      <textarea id="exercise-description" rows="3"></textarea>
+    </div>
+    <div class="form-group">
+      <label for="exercise-cues">Tips (ett per linje)</label>
+      <textarea id="exercise-cues" rows="3"></textarea>
+    </div>
+    <div class="form-group" id="exercise-muscles">
+      <label>Muskelgrupper</label>
+      ${MUSCLE_GROUPS.map(m => `<label><input type="checkbox" value="${m}" /> ${m}</label>`).join('')}
+    </div>
+    <div class="form-group">
+      <label for="exercise-equipment">Utstyr (skill med komma)</label>
+      <input id="exercise-equipment" type="text" placeholder="f.eks. strikk, manualer" />
+    </div>
+    <div class="form-group">
+      <label for="exercise-media">Bilde eller kort video</label>
+      <div id="exercise-media-preview"></div>
+      <input id="exercise-media" type="file" accept="image/*,video/*" />
+      <button id="exercise-media-remove" class="btn">Fjern bilde/video</button>
+    </div>
+    <button id="save-exercise" class="btn">Lagre øvelse</button>
+    <button id="cancel-exercise" class="btn" style="margin-left:0.5rem;">Avbryt</button>
+  `;
+  container.appendChild(wrapper);
+  const nameInput = document.getElementById('exercise-name');
+  const descriptionInput = document.getElementById('exercise-description');
+  const cuesInput = document.getElementById('exercise-cues');
+  const equipmentInput = document.getElementById('exercise-equipment');
+  nameInput.value = exercise.name;
+  descriptionInput.value = exercise.description || '';
+  cuesInput.value = (exercise.cues || []).join('\n');
+  equipmentInput.value = (exercise.equipment || []).join(', ');
+  document.querySelectorAll('#exercise-muscles input').forEach(input => {
+    input.checked = (exercise.muscles || []).includes(input.value);
+  });
+  // Media: the file is kept on the exercise and stored when it is saved
+  let media = exercise.media;
+  let mediaType = exercise.mediaType;
+  const preview = document.getElementById('exercise-media-preview');
+  const removeBtn = document.getElementById('exercise-media-remove');
+  function showMedia() {
+    preview.innerHTML = '';
+    removeBtn.classList.toggle('hidden', !media);
+    if (media) preview.appendChild(renderExerciseCard({ name: nameInput.value, media, mediaType }, true));
+  }
+  document.getElementById('exercise-media').onchange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    media = file;
+    mediaType = file.type.startsWith('video/') ? 'video' : 'image';
+    showMedia();
+  };
+  removeBtn.onclick = () => {
+    media = null;
+    mediaType = null;
+    showMedia();
+  };
+  showMedia();
+  const splitList = (text, separator) => text.split(separator).map(s => s.trim()).filter(Boolean);
+  document.getElementById('save-exercise').onclick = async () => {
+    const name = nameInput.value.trim();
+    if (!name) {
+      alert('Gi øvelsen et navn.');
+      return;
+    }
+    const exercises = await loadExercises();
+    if (exercises.some(e => e.id !== exercise.id && exerciseKey(e.name) === exerciseKey(name))) {
+      alert(`Det finnes allerede en øvelse som heter «${name}».`);
+      return;
+    }
+    try {
+      await saveExercise({
+        ...exercise,
+        name,
+        description: descriptionInput.value.trim(),
+        cues: splitList(cuesInput.value, '\n'),
+        muscles: [...document.querySelectorAll('#exercise-muscles input:checked')].map(input => input.value),
+        equipment: splitList(equipmentInput.value, ','),
+        media,
+        mediaType
+      });
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    navigate('/exercises');
+  };
+  document.getElementById('cancel-exercise').onclick = () => navigate('/exercises');
+}
+
+// Look up a catalog exercise for a route, like withWorkout()
+async function withExercise(id, render) {
+  const exercise = (await loadExercises()).find(e => e.id === id);
+  if (!exercise) {
+    const container = document.getElementById('content');
+    container.innerHTML = '<h2>Fant ikke øvelsen</h2><p>Øvelsen finnes ikke lenger i øvelsesbanken.</p>';
+    return;
+  }
+  render(exercise);
+}
+
+// ==== Workout sharing ====
+
+/*
+ * Workouts are shared as JSON documents:
+ * { format: 'ask4fitness-workout', version, exportedAt, workout: { name,
+ * blocks, voice, audio } }. Ids are left out and new ones are made on
+ * import. Audio cues are included as data URLs only when asked for, and
+ * never in share links, which carry the document in the URL.
+ */
+
+const WORKOUT_FORMAT = 'ask4fitness-workout';
+const WORKOUT_FORMAT_VERSION = 1;
+const AUDIO_CUE_TYPES = ['start', 'work', 'rest', 'end'];
+// Deeper nesting than this is not something the editor makes
+const MAX_BLOCK_DEPTH = 5;
+
+// Starter library, in the sharing format and imported like any shared file
+const WORKOUT_TEMPLATES = [
+  {
+    format: WORKOUT_FORMAT,
+    version: 1,
+    workout: {
+      name: 'Ask4Booty hjemme (20 min)',
+      blocks: [
+        { kind: 'block', name: 'Oppvarming', type: 'warmup', items: [
+          { kind: 'exercise', name: 'Marsj på stedet', work: 60, rest: 0 },
+          { kind: 'exercise', name: 'Hoftesirkler', work: 45, rest: 0 },
+          { kind: 'exercise', name: 'Luftknebøy', work: 45, rest: 15 }
+        ] },
+        { kind: 'block', name: 'Booty-sirkel', type: 'main', rounds: 3, restBetweenRounds: 60, items: [
+          { kind: 'exercise', name: 'Knebøy', work: 40, rest: 20 },
+          { kind: 'exercise', name: 'Hoftehev', work: 40, rest: 20 },
+          { kind: 'exercise', name: 'Utfall bakover', work: 40, rest: 20 },
+          { kind: 'exercise', name: 'Sidelengs benløft', work: 40, rest: 20 },
+          { kind: 'exercise', name: 'Sumo-knebøy med pulser', work: 40, rest: 20 }
+        ] },
+        { kind: 'block', name: 'Nedtrapping', type: 'cooldown', items: [
+          { kind: 'exercise', name: 'Tøy hofteleddsbøyer', work: 60, rest: 0 },
+          { kind: 'exercise', name: 'Duen', work: 60, rest: 0 }
+        ] }
+      ]
+    }
+  },
+  {
+    format: WORKOUT_FORMAT,
+    version: 1,
+    workout: {
+      name: 'Tabata fullkropp (8 min)',
+      blocks: [
+        { kind: 'block', name: 'Tabata 1', type: 'main', rounds: 4, items: [
+          { kind: 'exercise', name: 'Burpees', work: 20, rest: 10 },
+          { kind: 'exercise', name: 'Fjellklatrer', work: 20, rest: 10 }
+        ] },
+        { kind: 'block', name: 'Tabata 2', type: 'main', rounds: 4, items: [
+          { kind: 'exercise', name: 'Hoppknebøy', work: 20, rest: 10 },
+          { kind: 'exercise', name: 'Armhevinger', work: 20, rest: 10 }
+        ] }
+      ]
+    }
+  },
+  {
+    format: WORKOUT_FORMAT,
+    version: 1,
+    workout: {
+      name: 'Core EMOM (10 min)',
+      blocks: [
+        { kind: 'block', name: 'EMOM', type: 'main', rounds: 5, items: [
+          { kind: 'exercise', name: '12 sit-ups', work: 60, rest: 0 },
+          { kind: 'exercise', name: '20 russiske vridninger', work: 60, rest: 0 }
+        ] }
+      ]
+    }
+  },
+  {
+    format: WORKOUT_FORMAT,
+    version: 1,
+    workout: {
+      name: 'Mobilitet (8 min)',
+      blocks: [
+        { kind: 'block', name: 'Mobilitet', type: 'cooldown', items: [
+          { kind: 'exercise', name: 'Katt og ku', work: 60, rest: 0 },
+          { kind: 'exercise', name: 'Verdens beste tøyning', work: 60, rest: 0, sets: 2 },
+          { kind: 'exercise', name: '90/90 hofte', work: 60, rest: 0, sets: 2 },
+          { kind: 'exercise', name: 'Brystrotasjon sideliggende', work: 60, rest: 0, sets: 2 },
+          { kind: 'exercise', name: 'Barnestilling', work: 60, rest: 0 }
+        ] }
+      ]
+    }
+  }
+];
+
+// The file behind an audio reference: IndexedDB or a Storage URL
+async function loadAudioBlob(ref) {
+  if (isBlobRef(ref)) return getBlob(ref);
+  const response = await fetch(ref);
+  return response.ok ? response.blob() : null;
+}
+
+/**
+ * Turn a workout into a shareable document.
+ * @param {Object} workout
+ * @param {boolean} includeAudio Embed the custom audio cues as data URLs
+ * @returns {Promise<Object>}
+ */
+async function exportWorkout(workout, includeAudio = false) {
+  const { name, blocks, voice } = normalizeWorkout(workout);
+  const doc = {
+    format: WORKOUT_FORMAT,
+    version: WORKOUT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    workout: { name, blocks: stripBlockIds(blocks) }
+  };
+  if (voice) doc.workout.voice = voice;
+  if (includeAudio) {
+    const audio = {};
+    for (const type of Object.keys(workout.audio || {})) {
+      const blob = await loadAudioBlob(workout.audio[type]);
+      if (blob) audio[type] = await blobToDataUrl(blob);
+    }
+    if (Object.keys(audio).length) doc.workout.audio = audio;
+  }
+  return doc;
+}
+
+function stripBlockIds(items) {
+  return items.map(item => {
+    if (item.kind !== 'block') return item;
+    const { id, ...rest } = item;
+    return { ...rest, items: stripBlockIds(item.items) };
+  });
+}
+
+function isDuration(value) {
+  return value === undefined || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+}
+
+function validateWorkoutItems(items, path, depth, errors) {
+  if (!Array.isArray(items)) {
+    errors.push(`${path}: forventet en liste.`);
+    return;
+  }
+  if (depth > MAX_BLOCK_DEPTH) {
+    errors.push(`${path}: for mange nivåer med blokker.`);
+    return;
+  }
+  items.forEach((item, i) => {
+    const at = `${path}[${i}]`;
+    if (!isPlainObject(item)) {
+      errors.push(`${at}: forventet et objekt.`);
+    } else if (item.kind === 'block') {
+      if (item.type !== undefined && !BLOCK_TYPES.some(t => t.id === item.type)) errors.push(`${at}: ukjent blokktype.`);
+      if (item.rounds !== undefined && !(Number.isInteger(item.rounds) && item.rounds >= 1)) errors.push(`${at}: ugyldig antall runder.`);
+      if (!isDuration(item.restBetweenRounds)) errors.push(`${at}: ugyldig pause mellom runder.`);
+      validateWorkoutItems(item.items, `${at}.items`, depth + 1, errors);
+    } else {
+      if (typeof item.name !== 'string') errors.push(`${at}: mangler navn.`);
+      if (!isDuration(item.work) || !isDuration(item.rest)) errors.push(`${at}: ugyldig tid.`);
+      if (item.sets !== undefined && !(Number.isInteger(item.sets) && item.sets >= 1)) errors.push(`${at}: ugyldig antall sett.`);
+    }
+  });
+}
+
+/**
+ * Check that a parsed file is a workout this version of the app can import.
+ * Workouts from before blocks, with a flat `exercises` list, are accepted.
+ * @param {*} doc Parsed JSON
+ * @returns {Array<string>} Problems found, empty when the document is valid
+ */
+function validateWorkoutFile(doc) {
+  if (!isPlainObject(doc) || doc.format !== WORKOUT_FORMAT) {
+    return ['Filen er ikke en Ask4Fitness-økt.'];
+  }
+  if (!Number.isInteger(doc.version) || doc.version > WORKOUT_FORMAT_VERSION) {
+    return [`Økten er laget av en nyere versjon av appen (versjon ${doc.version}).`];
+  }
+  const workout = doc.workout;
+  if (!isPlainObject(workout)) return ['Filen mangler økten.'];
+  const errors = [];
+  if (typeof workout.name !== 'string' || !workout.name.trim()) errors.push('Økten mangler navn.');
+  if (Array.isArray(workout.blocks)) validateWorkoutItems(workout.blocks, 'blocks', 1, errors);
+  else validateWorkoutItems(workout.exercises, 'exercises', 1, errors);
+  if ('voice' in workout && !isPlainObject(workout.voice)) errors.push('voice: forventet et objekt.');
+  if ('audio' in workout && (!isPlainObject(workout.audio) ||
+    Object.entries(workout.audio).some(([type, url]) => !AUDIO_CUE_TYPES.includes(type) || typeof url !== 'string' || !url.startsWith('data:audio/')))) {
+    errors.push('audio: ugyldige lydsignaler.');
+  }
+  return errors.length > 10 ? errors.slice(0, 10).concat(`… og ${errors.length - 10} feil til.`) : errors;
+}
+
+// Fresh blocks and exercises with only the known fields and new ids
+function copyWorkoutItems(items) {
+  return items.map(item => {
+    if (item.kind === 'block') {
+      const { name, type, rounds, restBetweenRounds } = item;
+      return createBlock(pickDefined({ name, type, rounds, restBetweenRounds, items: copyWorkoutItems(item.items) }));
+    }
+    const { name, work, rest, sets } = item;
+    return createExercise(pickDefined({ name, work, rest, sets }));
+  });
+}
+
+function pickDefined(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Make a new workout from a validated document. The audio data URLs are
+ * moved to blob storage when the workout is saved.
+ * @param {Object} doc Document that passed validateWorkoutFile()
+ * @param {boolean} includeAudio Keep embedded audio cues
+ * @returns {Object} Workout with new ids
+ */
+function importWorkout(doc, includeAudio = false) {
+  const source = normalizeWorkout(doc.workout);
+  const workout = createWorkout();
+  workout.id = generateId();
+  workout.name = source.name.trim();
+  workout.blocks = copyWorkoutItems(source.blocks);
+  if (source.voice) {
+    const voice = createVoiceSettings(source.voice);
+    if (!VOICE_PHRASES[voice.lang]) voice.lang = 'nb-NO';
+    workout.voice = voice;
+  }
+  if (includeAudio && source.audio) workout.audio = { ...source.audio };
+  return workout;
+}
+
+async function addImportedWorkout(workout) {
+  const workouts = await loadWorkouts();
+  workouts.push(workout);
+  await saveWorkouts(workouts);
+}
+
+async function workoutShareLink(workout) {
+  const doc = await exportWorkout(workout);
+  const encoded = toBase64Url(new TextEncoder().encode(JSON.stringify(doc)));
+  return `${location.origin}${location.pathname}#/workouts/import/${encoded}`;
+}
+
+// Read the document carried by a share link; null when it is damaged
+function decodeWorkoutLink(encoded) {
+  try {
+    return JSON.parse(new TextDecoder().decode(fromBase64Url(encoded)));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Share options for one workout: download as a file, with or without the
+ * audio cues, or copy a link.
+ * @param {Object} workout
+ * @returns {HTMLElement}
+ */
+function renderWorkoutShareOptions(workout) {
+  const div = document.createElement('div');
+  div.className = 'share-options hidden';
+  const hasAudio = Object.keys(workout.audio || {}).length > 0;
+  div.innerHTML = `
+    ${hasAudio ? '<label><input type="checkbox" class="share-audio" /> Ta med lydsignaler i filen</label>' : ''}
+  `;
+  const fileBtn = document.createElement('button');
+  fileBtn.className = 'btn';
+  fileBtn.textContent = 'Last ned fil';
+  fileBtn.onclick = async () => {
+    const audio = div.querySelector('.share-audio');
+    try {
+      const doc = await exportWorkout(workout, !!(audio && audio.checked));
+      const slug = workout.name.toLowerCase().replace(/[^a-z0-9æøå]+/g, '-').replace(/^-|-$/g, '') || 'okt';
+      downloadFile(JSON.stringify(doc, null, 2), `${slug}.json`, 'application/json');
+    } catch (err) {
+      alert(`Kunne ikke eksportere økten: ${err.message}`);
+    }
+  };
+  const linkBtn = document.createElement('button');
+  linkBtn.className = 'btn';
+  linkBtn.style.marginLeft = '0.5rem';
+  linkBtn.textContent = 'Kopier delelenke';
+  linkBtn.onclick = async () => {
+    await navigator.clipboard.writeText(await workoutShareLink(workout));
+    alert(hasAudio ? 'Lenken er kopiert. Lydsignaler følger bare med i filen.' : 'Lenken er kopiert til utklippstavlen');
+  };
+  div.appendChild(fileBtn);
+  div.appendChild(linkBtn);
+  return div;
+}
+
+/**
+ * Preview a shared workout before it is added to the user's workouts.
+ * @param {Object|null} doc Parsed document, null when it could not be read
+ */
+function renderWorkoutImport(doc) {
+  const container = document.getElementById('content');
+  container.innerHTML = '<h2>Importer økt</h2>';
+  const errors = doc ? validateWorkoutFile(doc) : ['Lenken eller filen er ugyldig.'];
+  const backBtn = document.createElement('button');
+  backBtn.className = 'btn';
+  backBtn.textContent = 'Avbryt';
+  backBtn.onclick = () => navigate('/workouts');
+  if (errors.length) {
+    const p = document.createElement('p');
+    p.textContent = 'Økten kan ikke importeres:';
+    const ul = document.createElement('ul');
+    errors.forEach(error => {
+      const li = document.createElement('li');
+      li.textContent = error;
+      ul.appendChild(li);
+    });
+    container.appendChild(p);
+    container.appendChild(ul);
+    container.appendChild(backBtn);
+    return;
+  }
+  const preview = importWorkout(doc);
+  const summary = document.createElement('p');
+  summary.innerHTML = '<strong></strong> ';
+  summary.querySelector('strong').textContent = preview.name;
+  summary.appendChild(document.createTextNode(`· ${preview.blocks.length} blokker · ${formatDuration(sequenceDuration(buildSequence(preview)))}`));
+  container.appendChild(summary);
+  const audioLabel = document.createElement('label');
+  if (doc.workout.audio) {
+    audioLabel.innerHTML = '<input type="checkbox" checked /> Ta med lydsignalene';
+    container.appendChild(audioLabel);
+  }
+  const importBtn = document.createElement('button');
+  importBtn.className = 'btn';
+  importBtn.textContent = 'Importer';
+  importBtn.onclick = async () => {
+    const audio = audioLabel.querySelector('input');
+    const workout = importWorkout(doc, !!(audio && audio.checked));
+    try {
+      await addImportedWorkout(workout);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    navigate(`/workouts/${encodeURIComponent(workout.id)}/edit`);
+  };
+  container.appendChild(importBtn);
+  backBtn.style.marginLeft = '0.5rem';
+  container.appendChild(backBtn);
+}
+
+// ==== Voice coaching ====
+
+const VOICE_LANGUAGES = [
+  { id: 'nb-NO', label: 'Norsk' },
+  { id: 'en-US', label: 'English' }
+];
+
+const VOICE_PHRASES = {
+  'nb-NO': {
+    rest: 'Pause',
+    nextUp: name => `Neste: ${name}`,
+    halfway: 'Halvveis',
+    lastSet: 'Siste sett',
+    done: 'Ferdig. Bra jobbet!'
+  },
+  'en-US': {
+    rest: 'Rest',
+    nextUp: name => `Next up: ${name}`,
+    halfway: 'Halfway',
+    lastSet: 'Last set',
+    done: 'Done. Great work!'
+  }
+};
+
+// Per-workout voice settings; workouts saved before voice existed have none
+function createVoiceSettings(values = {}) {
+  return { enabled: false, lang: 'nb-NO', countdown: true, halfway: true, nextUp: true, lastSet: true, ...values };
+}
+
+function voiceSupported() {
+  return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+}
+
+/**
+ * What to say when a segment starts: the exercise name, "last set" before
+ * the final set, and during rest what comes next.
+ * @param {Array} sequence Sequence from buildSequence()
+ * @param {number} index Segment that starts
+ * @param {Object} voice Voice settings of the workout
+ * @returns {string}
+ */
+function segmentAnnouncement(sequence, index, voice) {
+  const phrases = VOICE_PHRASES[voice.lang] || VOICE_PHRASES['nb-NO'];
+  const seg = sequence[index];
+  if (seg.type === 'work') {
+    const lastSet = seg.set === seg.sets && seg.round === seg.rounds && (seg.sets > 1 || seg.rounds > 1);
+    return voice.lastSet && lastSet ? `${phrases.lastSet}. ${seg.name}` : seg.name;
+  }
+  const next = sequence.slice(index + 1).find(s => s.type === 'work');
+  return voice.nextUp && next ? `${phrases.rest}. ${phrases.nextUp(next.name)}` : phrases.rest;
+}
+
+/**
+ * Speak a text with speech synthesis. The voice matching the language is
+ * used when the device has one.
+ * @param {string} text
+ * @param {string} lang BCP 47 language tag, e.g. 'nb-NO'
+ * @param {boolean} interrupt Drop anything still queued first
+ */
+function speak(text, lang, interrupt = false) {
+  if (!voiceSupported() || !text) return;
+  if (interrupt) speechSynthesis.cancel();
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = lang;
+  const prefix = lang.split('-')[0];
+  const voices = speechSynthesis.getVoices();
+  utterance.voice = voices.find(v => v.lang === lang) ||
+    voices.find(v => v.lang.startsWith(prefix)) ||
+    // Norwegian voices are often tagged as Bokmål ('nb') or plain 'no'
+    (prefix === 'nb' ? voices.find(v => v.lang.startsWith('no')) : null) ||
+    null;
+  speechSynthesis.speak(utterance);
+}
+
+/**
+ * Render the workout editor. Allows user to build blocks of exercises,
+ * with names suggested from the exercise library, add interval presets,
+ * set durations and upload custom audio cues. When saved, stores the
+ * workout in persistent storage.
+ * @param {Object} workout The workout to edit
+ * @param {boolean} isNew Indicates if this is a new workout
+ */
+async function renderWorkoutEditor(workout, isNew = false) {
+  workout = normalizeWorkout(workout);
+  const container = document.getElementById('content');
+  container.innerHTML = '';
+  if (!canEditWorkout(workout)) {
+    container.innerHTML = '<h2>Rediger økt</h2><p>Du kan bare endre økter du har laget selv.</p>';
+    return;
+  }
+  const wrapper = document.createElement('div');
+  wrapper.innerHTML = `
+    <h2>Rediger økt</h2>
+    <div class="form-group">
+      <label for="wo-name">Navn på økten</label>
+      <input id="wo-name" type="text" />
+    </div>
+    <h3>Blokker</h3>
+    <p id="workout-duration"></p>
+    <div id="block-list"></div>
+    <div class="form-group">
+      <button id="add-block" class="btn">Legg til blokk</button>
+      <select id="preset-select" style="width:auto;margin-left:0.5rem;">
+        ${WORKOUT_PRESETS.map(p => `<option value="${p.id}">${p.label}</option>`).join('')}
+      </select>
+      <button id="add-preset" class="btn" style="margin-left:0.5rem;">Legg til mal</button>
+    </div>
+    <h3>Lydsignaler</h3>
+    <p>Du kan laste opp dine egne lydfiler for start, arbeid, pause og slutt. Hvis du lar feltet stå tomt brukes standardlyder.</p>
+    <div class="form-group">
+      <label>Start</label>
+      <input id="audio-start" type="file" accept="audio/*" />
+    </div>
+    <div class="form-group">
+      <label>Arbeid</label>
+      <input id="audio-work" type="file" accept="audio/*" />
+    </div>
+    <div class="form-group">
+      <label>Paus</label>
+      <input id="audio-rest" type="file" accept="audio/*" />
+    </div>
+    <div class="form-group">
+      <label>Slutt</label>
+      <input id="audio-end" type="file" accept="audio/*" />
+    </div>
+    <h3>Stemme</h3>
+    <p>Stemmen leser opp øvelsene mens økten spilles. Lydsignalene over spilles først, deretter stemmen.</p>
+    <p id="voice-unsupported" style="display:none;">Denne nettleseren støtter ikke opplesning.</p>
+    <div class="form-group">
+      <label><input type="checkbox" id="voice-enabled" /> Les opp øvelsene</label>
+    </div>
+    <div class="form-group">
+      <label for="voice-lang">Språk</label>
+      <select id="voice-lang">
+        ${VOICE_LANGUAGES.map(l => `<option value="${l.id}">${l.label}</option>`).join('')}
+      </select>
+    </div>
+    <div class="form-group">
+      <label><input type="checkbox" id="voice-countdown" /> Nedtelling 3‑2‑1</label>
+      <label><input type="checkbox" id="voice-halfway" /> Halvveis</label>
+      <label><input type="checkbox" id="voice-nextUp" /> Neste øvelse i pausen</label>
+      <label><input type="checkbox" id="voice-lastSet" /> Siste sett</label>
+    </div>
+    <button id="save-workout" class="btn">Lagre økt</button>
+    <button id="cancel-workout" class="btn" style="margin-left:0.5rem;">Avbryt</button>
+  `;
+  container.appendChild(wrapper);
+  document.getElementById('wo-name').value = workout.name || '';
+  const catalog = await loadExercises();
+  wrapper.appendChild(renderExerciseDatalist(catalog));
+  const blocksDiv = document.getElementById('block-list');
+  function updateDuration() {
+    const total = sequenceDuration(buildSequence(workout));
+    document.getElementById('workout-duration').textContent = `Total tid: ${formatDuration(total)}`;
+  }
+  function refreshBlocks() {
+    blocksDiv.innerHTML = '';
+    workout.blocks.forEach((block, idx) => {
+      blocksDiv.appendChild(renderBlockEditor(block, () => {
+        workout.blocks.splice(idx, 1);
+        refreshBlocks();
+      }, updateDuration, catalog));
+    });
+    updateDuration();
+  }
+  refreshBlocks();
+  document.getElementById('add-block').onclick = () => {
+    workout.blocks.push(createBlock());
+    refreshBlocks();
+  };
+  document.getElementById('add-preset').onclick = () => {
+    const preset = WORKOUT_PRESETS.find(p => p.id === document.getElementById('preset-select').value);
+    const block = preset.create();
+    // Warm-up goes first and cool-down last, whatever order they are added in
+    if (block.type === 'warmup') workout.blocks.unshift(block);
+    else workout.blocks.push(block);
+    refreshBlocks();
+  };
+  // Audio inputs: the file is attached to workout.audio and moved to blob
+  // storage when the workout is saved
+  function handleAudio(id, key) {
+    const input = document.getElementById(id);
+    input.onchange = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      workout.audio = workout.audio || {};
+      workout.audio[key] = file;
+    };
+  }
+  handleAudio('audio-start', 'start');
+  handleAudio('audio-work', 'work');
+  handleAudio('audio-rest', 'rest');
+  handleAudio('audio-end', 'end');
+  // Voice settings are edited in place like the blocks
+  workout.voice = createVoiceSettings(workout.voice);
+  if (!voiceSupported()) document.getElementById('voice-unsupported').style.display = '';
+  const langSelect = document.getElementById('voice-lang');
+  langSelect.value = workout.voice.lang;
+  langSelect.onchange = () => { workout.voice.lang = langSelect.value; };
+  ['enabled', 'countdown', 'halfway', 'nextUp', 'lastSet'].forEach(key => {
+    const input = document.getElementById(`voice-${key}`);
+    input.checked = workout.voice[key];
+    input.onchange = () => { workout.voice[key] = input.checked; };
+  });
+  // Save/cancel handlers
+  document.getElementById('save-workout').onclick = async () => {
+    const nameInput = document.getElementById('wo-name').value.trim();
+    if (!nameInput) {
+      alert('Gi økten et navn.');
+      return;
+    }
+    workout.name = nameInput;
+    let workouts = await loadWorkouts();
+    if (isNew) {
+      workouts.push(workout);
+    } else {
+      workouts = workouts.map(w => w.id === workout.id ? workout : w);
+    }
+    try {
+      requireWorkoutOwner(workout);
+      await saveWorkouts(workouts);
+    } catch (err) {
+      alert(err.message);
+      return;
     }
+    alert('Økten er lagret.');
+    navigate('/workouts');
+  };
+  document.getElementById('cancel-workout').onclick = () => {
+    navigate('/workouts');
+  };
+}
+
+/**
+ * Render the workout player. Displays current exercise and countdown,
+ * plays audio cues, and allows the user to start/pause, step back and
+ * forth, add time or stop the workout. Timing follows the wall clock, so
+ * a throttled background tab catches up instead of drifting, and the
+ * state is saved so a reload resumes where the workout left off. After
+ * each set the result can be entered, and the run is saved to the
+ * workout log when it ends or is stopped.
+ * @param {Object} workout The workout to play
+ */
+function renderWorkoutPlayer(workout) {
+  const container = document.getElementById('content');
+  container.innerHTML = '';
+  const title = document.createElement('h2');
+  title.textContent = `Spiller: ${workout.name}`;
+  container.appendChild(title);
+  const info = document.createElement('p');
+  container.appendChild(info);
+  const timerDiv = document.createElement('div');
+  timerDiv.style.fontSize = '2rem';
+  timerDiv.style.margin = '1rem 0';
+  container.appendChild(timerDiv);
+  const totalDiv = document.createElement('p');
+  totalDiv.className = 'player-total';
+  container.appendChild(totalDiv);
+  const exerciseDiv = document.createElement('div');
+  const controls = document.createElement('div');
+  controls.style.display = 'flex';
+  controls.style.flexWrap = 'wrap';
+  controls.style.gap = '0.5rem';
+  const makeButton = (text) => {
+    const btn = document.createElement('button');
+    btn.textContent = text;
+    btn.className = 'btn';
+    controls.appendChild(btn);
+    return btn;
+  };
+  const playBtn = makeButton('Start');
+  const pauseBtn = makeButton('Pause');
+  const prevBtn = makeButton('Forrige');
+  const addBtn = makeButton('+10 s');
+  const nextBtn = makeButton('Neste');
+  const stopBtn = makeButton('Avslutt');
+  container.appendChild(controls);
+  container.appendChild(exerciseDiv);
+  const setLog = document.createElement('div');
+  setLog.className = 'set-log';
+  container.appendChild(setLog);
+  const sequence = buildSequence(workout);
+  // index: current segment; endsAt: wall-clock end of the segment while
+  // running; remainingMs: time left while paused; addedMs: time added with
+  // +10 s, counted in the total. runId, startedAt, activeMs and sets make
+  // up the log entry of the run; resumedAt is when it last started running.
+  let state = loadPlayerState(workout.id, sequence.length) || {
+    workoutId: workout.id,
+    length: sequence.length,
+    index: 0,
+    running: false,
+    endsAt: null,
+    remainingMs: sequence.length ? sequence[0].duration * 1000 : 0,
+    addedMs: 0,
+    runId: generateId(),
+    startedAt: null,
+    resumedAt: null,
+    activeMs: 0,
+    sets: []
+  };
+  let finished = false;
+  let tickId = null;
+  let releaseWakeLock = null;
+  const remainingMs = () => Math.max(0, state.running ? state.endsAt - Date.now() : state.remainingMs);
+  // From the exercise library: how to do the exercise during work, and
+  // what comes next during rest. Only redrawn when the segment changes.
+  let catalog = [];
+  let shownIndex = null;
+  loadExercises().then(list => {
+    catalog = list;
+    shownIndex = null;
+    updateDisplay();
+  });
+  function updateExercise() {
+    const index = finished || !sequence.length ? -1 : state.index;
+    if (index === shownIndex) return;
+    shownIndex = index;
+    exerciseDiv.innerHTML = '';
+    if (index < 0) return;
+    const seg = sequence[index];
+    if (seg.type === 'work') {
+      const exercise = findCatalogExercise(catalog, seg);
+      if (exercise) exerciseDiv.appendChild(renderExerciseCard(exercise));
+      return;
+    }
+    const next = sequence.slice(index + 1).find(s => s.type === 'work');
+    if (!next) return;
+    const heading = document.createElement('h3');
+    heading.textContent = `Neste: ${next.name}`;
+    exerciseDiv.appendChild(heading);
+    const exercise = findCatalogExercise(catalog, next);
+    if (exercise) exerciseDiv.appendChild(renderExerciseCard(exercise, true));
+  }
+  function updateDisplay() {
+    updateExercise();
+    if (!sequence.length) {
+      info.textContent = 'Ingen øvelser definert.';
+      timerDiv.textContent = '';
+      return;
+    }
+    if (finished) {
+      info.textContent = 'Ferdig!';
+      timerDiv.textContent = '';
+      totalDiv.textContent = `Total tid: ${formatDuration((sequenceDuration(sequence) * 1000 + state.addedMs) / 1000)}`;
+      return;
+    }
+    const seg = sequence[state.index];
+    const round = seg.rounds > 1 ? ` (runde ${seg.round} av ${seg.rounds})` : '';
+    info.textContent = `${seg.block}${round} – ${seg.type === 'work' ? 'Øvelse' : 'Pause'}: ${seg.name}`;
+    const left = remainingMs();
+    timerDiv.textContent = formatDuration(Math.ceil(left / 1000));
+    const after = sequenceDuration(sequence.slice(state.index + 1)) * 1000;
+    const total = sequenceDuration(sequence) * 1000 + state.addedMs;
+    totalDiv.textContent = `Gjenstår ${formatDuration(Math.ceil((left + after) / 1000))} av ${formatDuration(total / 1000)}`;
+  }
+  function updateButtons() {
+    playBtn.textContent = state.index || state.remainingMs < (sequence[0] || {}).duration * 1000 ? 'Fortsett' : 'Start';
+    playBtn.disabled = state.running || finished || !sequence.length;
+    pauseBtn.disabled = !state.running;
+    [prevBtn, addBtn, nextBtn].forEach(btn => { btn.disabled = finished || !sequence.length; });
+  }
+  // Stored cues are resolved to playable URLs up front
+  const audioUrls = {};
+  Object.keys(workout.audio || {}).forEach(type => {
+    resolveBlobUrl(workout.audio[type]).then(url => { audioUrls[type] = url; });
+  });
+  // Resolves when the cue is over, or after CUE_VOICE_DELAY_MS for long
+  // files, which then play on at a lower volume under the voice
+  function playAudioCue(type) {
+    const src = audioUrls[type];
+    if (src) {
+      return new Promise(resolve => {
+        const audio = new Audio(src);
+        const timer = setTimeout(() => {
+          audio.volume = 0.3;
+          resolve();
+        }, CUE_VOICE_DELAY_MS);
+        const done = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        audio.onended = done;
+        audio.onerror = done;
+        audio.play().catch(done);
+      });
+    } else {
+      // fallback beep using a short oscillator
+      const ctx = new (window.AudioContext || window.webkitAudioContext)();
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.frequency.value = 600;
+      osc.connect(gain);
+      gain.connect(ctx.destination);
+      osc.start();
+      gain.gain.setValueAtTime(1, ctx.currentTime);
+      gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.1);
+      osc.stop(ctx.currentTime + 0.1);
+      return new Promise(resolve => setTimeout(resolve, 150));
+    }
+  }
+  const voice = createVoiceSettings(workout.voice);
+  const voiceOn = voice.enabled && voiceSupported();
+  // Announcements already made in the current segment (countdown, halfway)
+  let spoken = new Set();
+  // The segment's cue plays first and the voice follows. An announcement
+  // for a segment that was skipped meanwhile is dropped.
+  function announce(index) {
+    spoken = new Set();
+    const cue = playAudioCue(sequence[index].type);
+    if (!voiceOn) return;
+    const text = segmentAnnouncement(sequence, index, voice);
+    cue.then(() => {
+      if (state.running && state.index === index) speak(text, voice.lang, true);
+    });
+  }
+  function announceTime(left) {
+    if (!voiceOn) return;
+    const seg = sequence[state.index];
+    const seconds = Math.ceil(left / 1000);
+    if (voice.countdown && seconds <= 3 && seconds >= 1 && seg.duration > 3 && !spoken.has(seconds)) {
+      spoken.add(seconds);
+      speak(String(seconds), voice.lang);
+    }
+    // Only within a second of the middle, so a resume past it stays quiet
+    const half = seg.duration * 500;
+    if (voice.halfway && seg.type === 'work' && seg.duration >= 20 && left <= half && left > half - 1000 && !spoken.has('half')) {
+      spoken.add('half');
+      const phrases = VOICE_PHRASES[voice.lang] || VOICE_PHRASES['nb-NO'];
+      speak(phrases.halfway, voice.lang);
+    }
+  }
+  // When the state was last saved; a running player saves it at least
+  // once a second, so a killed browser resumes close to where it was
+  let lastPersist = 0;
+  function persist() {
+    lastPersist = Date.now();
+    if (finished) clearPlayerState();
+    else savePlayerState(state);
+  }
+  // Records from earlier runs, for the PR badges on the sets
+  let records = {};
+  function showSet(set) {
+    if (!setLog.children.length) {
+      const heading = document.createElement('h3');
+      heading.textContent = 'Sett';
+      setLog.appendChild(heading);
+    }
+    setLog.appendChild(renderSetInput(set, records, () => {
+      persist();
+      // After the end the run is already in the log
+      if (finished) logRun(true).catch(err => alert(err.message));
+    }));
+  }
+  function renderSets() {
+    setLog.innerHTML = '';
+    state.sets.forEach(showSet);
+  }
+  loadMyWorkoutLog().then(log => {
+    records = computePersonalRecords(log.filter(entry => entry.id !== state.runId));
+    renderSets();
+  });
+  // A work segment that is over gets a row for its result
+  function logSet(index) {
+    const seg = sequence[index];
+    if (!state.startedAt || seg.type !== 'work' || state.sets.some(set => set.index === index)) return;
+    const set = { index, exercise: seg.name, round: seg.round, rounds: seg.rounds, set: seg.set, sets: seg.sets, reps: null, weight: null, rpe: null };
+    state.sets.push(set);
+    showSet(set);
+    logProgress();
+  }
+  // Writes of the run's log entry are chained so they land in order
+  let logWrites = Promise.resolve();
+  async function logRun(completed) {
+    const activeMs = state.activeMs + (state.running ? Date.now() - state.resumedAt : 0);
+    const entry = {
+      id: state.runId,
+      workoutId: workout.id,
+      workoutName: workout.name,
+      userId: currentSession.user.id,
+      startedAt: state.startedAt,
+      endedAt: new Date().toISOString(),
+      duration: Math.round(activeMs / 1000),
+      completed,
+      segmentsDone: completed ? sequence.length : state.index,
+      segmentsTotal: sequence.length,
+      sets: state.sets
+    };
+    const write = logWrites.then(async () => {
+      const me = await getCurrentParticipant();
+      await saveWorkoutLogEntry({ ...entry, participant: me ? me.id : null });
+    });
+    logWrites = write.catch(() => {});
+    return write;
+  }
+  // The entry is written as aborted from the start and updated as the run
+  // goes, so a run that is never finished (closed tab, killed browser) is
+  // still in the log
+  function logProgress() {
+    if (!finished && state.startedAt) logRun(false).catch(err => console.error(err));
+  }
+  function finish() {
+    finished = true;
+    // A segment that ran out ended at endsAt, even when noticed later
+    if (state.running) state.activeMs += Math.min(Date.now(), state.endsAt) - state.resumedAt;
+    state.running = false;
+    stopTicking();
+    playAudioCue('end').then(() => {
+      if (voiceOn) speak((VOICE_PHRASES[voice.lang] || VOICE_PHRASES['nb-NO']).done, voice.lang, true);
+    });
+    persist();
+    updateButtons();
+    updateDisplay();
+    if (!state.startedAt) return;
+    logRun(true)
+      .then(() => { info.textContent = 'Ferdig! Økten er lagret i loggen.'; })
+      .catch(err => alert(err.message));
+  }
+  // Move to a segment. Running, the new segment starts now.
+  function goTo(index) {
+    state.index = index;
+    const duration = sequence[index].duration * 1000;
+    if (state.running) state.endsAt = Date.now() + duration;
+    else state.remainingMs = duration;
+    persist();
+    updateButtons();
+    updateDisplay();
+    if (state.running) announce(index);
+    else spoken = new Set();
+  }
+  function tick() {
+    // After a throttled or suspended tab several segments may have ended;
+    // each following segment starts when the previous one ended
+    let advanced = false;
+    while (state.running && Date.now() >= state.endsAt) {
+      logSet(state.index);
+      if (state.index >= sequence.length - 1) {
+        finish();
+        return;
+      }
+      state.index++;
+      state.endsAt += sequence[state.index].duration * 1000;
+      advanced = true;
+    }
+    if (advanced) {
+      persist();
+      announce(state.index);
+    } else if (state.running && Date.now() - lastPersist >= 1000) {
+      persist();
+    }
+    if (state.running) announceTime(remainingMs());
+    updateDisplay();
+  }
+  function startTicking() {
+    if (!tickId) tickId = setInterval(tick, 250);
+    if (!releaseWakeLock) releaseWakeLock = requestWakeLock();
+  }
+  function stopTicking() {
+    clearInterval(tickId);
+    tickId = null;
+    if (releaseWakeLock) releaseWakeLock();
+    releaseWakeLock = null;
+    if (voiceOn) speechSynthesis.cancel();
+  }
+  function startTimer() {
+    if (state.running || finished || !sequence.length) return;
+    state.running = true;
+    state.endsAt = Date.now() + state.remainingMs;
+    state.resumedAt = Date.now();
+    if (!state.startedAt) state.startedAt = new Date().toISOString();
+    persist();
+    logProgress();
+    updateButtons();
+    announce(state.index);
+    startTicking();
+    tick();
+  }
+  function pauseTimer() {
+    if (!state.running) return;
+    state.remainingMs = remainingMs();
+    state.activeMs += Date.now() - state.resumedAt;
+    state.running = false;
+    stopTicking();
+    persist();
+    updateButtons();
+    updateDisplay();
+  }
+  function previousSegment() {
+    goTo(Math.max(0, state.index - 1));
+  }
+  function nextSegment() {
+    logSet(state.index);
+    if (state.index < sequence.length - 1) goTo(state.index + 1);
+    else finish();
+  }
+  function addTime() {
+    if (state.running) state.endsAt += 10000;
+    else state.remainingMs += 10000;
+    state.addedMs += 10000;
+    // The countdown runs again at the new end
+    [1, 2, 3].forEach(n => spoken.delete(n));
+    persist();
+    updateDisplay();
+  }
+  playBtn.onclick = () => {
+    // iOS only lets speech start inside a user gesture, and the first
+    // announcement waits for the cue. An empty utterance spoken right here
+    // unlocks speech for the rest of the run.
+    if (voiceOn) speechSynthesis.speak(new SpeechSynthesisUtterance(''));
+    startTimer();
+  };
+  pauseBtn.onclick = () => pauseTimer();
+  prevBtn.onclick = () => previousSegment();
+  addBtn.onclick = () => addTime();
+  nextBtn.onclick = () => nextSegment();
+  // A run that was started but not finished is paused and logged as
+  // aborted. Resumed and finished later, the same entry is marked completed.
+  async function logAborted() {
+    if (finished || !state.startedAt) return;
+    pauseTimer();
+    await logRun(false);
+  }
+  let stopped = false;
+  stopBtn.onclick = async () => {
+    stopped = true;
+    try {
+      await logAborted();
+    } catch (err) {
+      alert(err.message);
+    }
+    clearPlayerState();
+    navigate('/workouts');
+  };
+  // A reload or closed tab does not leave the page through the router.
+  // The log write may not get out before the page is gone; the entry
+  // written as the run went is there either way.
+  const onPageHide = () => {
+    pauseTimer();
+    logProgress();
+  };
+  window.addEventListener('pagehide', onPageHide);
+  // Leaving the player, including via back button, pauses the run. The
+  // saved state lets it be resumed from the same point.
+  onRouteLeave(() => {
+    window.removeEventListener('pagehide', onPageHide);
+    if (!stopped) logAborted().catch(err => console.error(err));
+    stopTicking();
+  });
+  if (state.running) {
+    // Left running without pagehide (e.g. the browser was killed): pause
+    // it as of the last save, at most a second before, rather than play
+    // through the time away
+    state.remainingMs = Math.max(0, state.endsAt - state.savedAt);
+    state.activeMs += Math.max(0, Math.min(state.savedAt, state.endsAt) - state.resumedAt);
+    state.running = false;
+    persist();
   }
+  updateButtons();
+  updateDisplay();
+}
+
+// Longest wait for a custom cue before the voice speaks over it
+const CUE_VOICE_DELAY_MS = 2000;
+
+// Player state is kept for a while so a reload, or a quick detour to
+// another page, resumes the workout. Older state is ignored.
+const PLAYER_STATE_MAX_AGE_MS = 2 * 60 * 60 * 1000;
+
+function savePlayerState(state) {
+  localStorage.setItem(LS_PLAYER_STATE, JSON.stringify({ ...state, savedAt: Date.now() }));
+}
+
+function clearPlayerState() {
+  localStorage.removeItem(LS_PLAYER_STATE);
+}
+
+/**
+ * Saved player state for a workout, if it is recent and still matches the
+ * workout's sequence.
+ * @param {string} workoutId
+ * @param {number} length Number of segments in the current sequence
+ * @returns {Object|null}
+ */
+function loadPlayerState(workoutId, length) {
+  const stored = localStorage.getItem(LS_PLAYER_STATE);
+  const state = stored ? JSON.parse(stored) : null;
+  if (!state || state.workoutId !== workoutId || state.length !== length) return null;
+  if (Date.now() - state.savedAt > PLAYER_STATE_MAX_AGE_MS) return null;
+  return state;
 }
 
-async function removeParticipant(name) {
+// ==== Workout log ====
+
+/*
+ * Every run of the player that was started is logged: { id, workoutId,
+ * workoutName, userId, participant, startedAt, endedAt, duration (seconds
+ * of active time), completed, segmentsDone, segmentsTotal, sets,
+ * updatedAt }. `sets` holds one entry per finished work segment:
+ * { index, exercise, round, rounds, set, sets, reps, weight, rpe }, where
+ * reps, weight and rpe are null until the user enters them. A run is
+ * logged with completed: false when it starts and updated as it goes, so
+ * one stopped with "Avslutt", left for another page or never finished
+ * stays in the log as aborted.
+ */
+
+async function loadWorkoutLog() {
+  let log;
   if (supabase) {
-    await supabase.from('participants').delete().eq('name', name);
+    const { data, error } = await remoteRead('workout_log', supabase.from('workout_log').select());
+    if (error) console.error(error);
+    log = data || [];
   } else {
-    let list = await loadParticipants();
-    list = list.filter(n => n !== name);
-    localStorage.setItem(LS_PARTICIPANTS, JSON.stringify(list));
+    const stored = localStorage.getItem(LS_WORKOUT_LOG);
+    log = stored ? JSON.parse(stored) : [];
   }
+  return log.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
 }
 
-async function loadSessions() {
-  if (supabase) {
-    const { data, error } = await supabase.from('sessions').select();
-    if (error) console.error(error);
-    return data || [];
-  }
-  const stored = localStorage.getItem(LS_SESSIONS);
-  if (stored) return JSON.parse(stored);
-  // Fallback: generate default if none exists
-  const sessions = generateInitialSessions();
-  localStorage.setItem(LS_SESSIONS, JSON.stringify(sessions));
-  return sessions;
+// Runs of the logged-in user, oldest first
+async function loadMyWorkoutLog() {
+  const log = await loadWorkoutLog();
+  return log.filter(entry => currentSession && entry.userId === currentSession.user.id);
 }
 
-async function addSession(session) {
+async function saveWorkoutLogEntry(entry) {
+  const values = { ...entry, updatedAt: new Date().toISOString() };
   if (supabase) {
-    await supabase.from('sessions').insert(session);
+    await remoteWrite({ table: 'workout_log', action: 'upsert', values, options: { onConflict: 'id' } });
   } else {
-    const sessions = await loadSessions();
-    sessions.push(session);
-    localStorage.setItem(LS_SESSIONS, JSON.stringify(sessions));
+    const log = await loadWorkoutLog();
+    const idx = log.findIndex(e => e.id === entry.id);
+    if (idx >= 0) log[idx] = values;
+    else log.push(values);
+    localStorage.setItem(LS_WORKOUT_LOG, JSON.stringify(log));
   }
 }
 
-async function removeSession(id) {
-  if (supabase) {
-    await supabase.from('sessions').delete().eq('id', id);
-  } else {
-    let sessions = await loadSessions();
-    sessions = sessions.filter(s => s.id !== id);
-    localStorage.setItem(LS_SESSIONS, JSON.stringify(sessions));
-  }
+// Exercise names are matched without regard to case or spacing
+function exerciseKey(name) {
+  return (name || '').trim().toLowerCase().replace(/\s+/g, ' ');
 }
 
-function generateInitialSessions() {
-  const sessions = [];
-  const startDates = [new Date('2025-08-18T19:00:00'), new Date('2025-08-20T18:00:00')];
-  for (let week = 0; week < 8; week++) {
-    startDates.forEach(date => {
-      const sessionDate = new Date(date.getTime());
-      sessionDate.setDate(sessionDate.getDate() + week * 7);
-      sessions.push({ id: sessionDate.toISOString(), label: sessionDate.toLocaleString('no-NO', { weekday: 'long', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' }) });
+/**
+ * Personal records per exercise from logged sets: heaviest weight, most
+ * reps and most volume (reps × weight) in one set.
+ * @param {Array} log Workout log entries
+ * @returns {Object<string, {name: string, weight: ?Object, reps: ?Object,
+ *   volume: ?Object}>} keyed by exerciseKey(); each record is
+ *   { value, date } or null
+ */
+function computePersonalRecords(log) {
+  const records = {};
+  log.forEach(entry => {
+    (entry.sets || []).forEach(set => {
+      const key = exerciseKey(set.exercise);
+      const rec = records[key] = records[key] || { name: set.exercise, weight: null, reps: null, volume: null };
+      const date = entry.startedAt;
+      const beat = (field, value) => {
+        if (value > 0 && (!rec[field] || value > rec[field].value)) rec[field] = { value, date };
+      };
+      beat('weight', set.weight);
+      beat('reps', set.reps);
+      if (set.reps && set.weight) beat('volume', set.reps * set.weight);
     });
-  }
-  return sessions;
+  });
+  return records;
 }
 
-async function loadScores() {
-  if (supabase) {
-    const { data, error } = await supabase.from('scores').select();
-    if (error) { console.error(error); }
-    const obj = {};
-    if (data) {
-      data.forEach(r => { obj[r.name] = { points: r.points, bestCount: r.bestCount }; });
-    }
-    return obj;
-  }
-  const stored = localStorage.getItem(LS_SCORES);
-  return stored ? JSON.parse(stored) : {};
+// What a set beats in the records, e.g. ['vekt', 'reps']
+function recordsBeaten(records, set) {
+  const rec = records[exerciseKey(set.exercise)];
+  const beaten = [];
+  const beats = (field, value) => value > 0 && (!rec || !rec[field] || value > rec[field].value);
+  if (beats('weight', set.weight)) beaten.push('vekt');
+  if (beats('reps', set.reps)) beaten.push('reps');
+  return beaten;
 }
 
-async function saveScores(obj) {
-  if (supabase) {
-    // Upsert each score
-    const rows = Object.keys(obj).map(name => ({ name, points: obj[name].points, bestCount: obj[name].bestCount }));
-    for (const row of rows) {
-      await supabase.from('scores').upsert(row, { onConflict: 'name' });
-    }
-  } else {
-    localStorage.setItem(LS_SCORES, JSON.stringify(obj));
+function setLabel(set) {
+  const parts = [set.exercise];
+  if (set.rounds > 1) parts.push(`runde ${set.round}`);
+  if (set.sets > 1) parts.push(`sett ${set.set}`);
+  return parts.join(' – ');
+}
+
+function formatSetResult(set) {
+  const parts = [];
+  if (set.reps) parts.push(`${set.reps} reps`);
+  if (set.weight) parts.push(`${set.weight} kg`);
+  if (set.rpe) parts.push(`RPE ${set.rpe}`);
+  return parts.join(', ') || '–';
+}
+
+/**
+ * Row where the result of a finished set is entered. Changes are made to
+ * `set` directly.
+ * @param {Object} set Entry in the run's sets
+ * @param {Object} records Records from earlier runs, for the PR badge
+ * @param {Function} onChange Called after each change
+ * @returns {HTMLElement}
+ */
+function renderSetInput(set, records, onChange) {
+  const row = document.createElement('div');
+  row.className = 'set-row';
+  row.innerHTML = `
+    <span class="set-label"></span>
+    <input type="number" class="set-reps" min="0" placeholder="Reps" />
+    <input type="number" class="set-weight" min="0" step="0.5" placeholder="Kg" />
+    <select class="set-rpe">
+      <option value="">RPE</option>
+      ${[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(n => `<option value="${n}">${n}</option>`).join('')}
+    </select>
+    <span class="set-pr"></span>
+  `;
+  row.querySelector('.set-label').textContent = setLabel(set);
+  const fields = { reps: row.querySelector('.set-reps'), weight: row.querySelector('.set-weight'), rpe: row.querySelector('.set-rpe') };
+  const pr = row.querySelector('.set-pr');
+  const showRecord = () => {
+    const beaten = recordsBeaten(records, set);
+    pr.textContent = beaten.length ? `🏆 Ny rekord (${joinWithAnd(beaten)})` : '';
+  };
+  Object.keys(fields).forEach(key => {
+    if (set[key] != null) fields[key].value = set[key];
+    fields[key].onchange = () => {
+      const value = parseFloat(fields[key].value);
+      set[key] = Number.isFinite(value) && value >= 0 ? value : null;
+      showRecord();
+      onChange();
+    };
+  });
+  showRecord();
+  return row;
+}
+
+/**
+ * Render the runs of a workout, newest first, with the records of its
+ * exercises.
+ * @param {Object} workout
+ */
+async function renderWorkoutHistory(workout) {
+  const container = document.getElementById('content');
+  container.innerHTML = '';
+  const title = document.createElement('h2');
+  title.textContent = `Historikk: ${workout.name}`;
+  container.appendChild(title);
+  const log = await loadMyWorkoutLog();
+  const runs = log.filter(entry => entry.workoutId === workout.id).reverse();
+  const records = computePersonalRecords(log);
+  const names = [...new Set(buildSequence(workout).filter(seg => seg.type === 'work').map(seg => exerciseKey(seg.name)))];
+  const withRecords = names.map(key => records[key]).filter(Boolean);
+  if (withRecords.length) {
+    const heading = document.createElement('h3');
+    heading.textContent = 'Personlige rekorder';
+    container.appendChild(heading);
+    const table = document.createElement('table');
+    table.innerHTML = '<thead><tr><th>Øvelse</th><th>Tyngst</th><th>Flest reps</th><th>Mest volum</th></tr></thead><tbody></tbody>';
+    const cell = (rec, unit) => rec ? `${rec.value} ${unit} (${toDateKey(new Date(rec.date))})` : '–';
+    withRecords.forEach(rec => {
+      const tr = document.createElement('tr');
+      [rec.name, cell(rec.weight, 'kg'), cell(rec.reps, 'reps'), cell(rec.volume, 'kg')].forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      table.querySelector('tbody').appendChild(tr);
+    });
+    container.appendChild(table);
   }
+  const heading = document.createElement('h3');
+  heading.textContent = 'Gjennomføringer';
+  container.appendChild(heading);
+  if (!runs.length) {
+    const p = document.createElement('p');
+    p.textContent = 'Økten er ikke gjennomført ennå.';
+    container.appendChild(p);
+  }
+  runs.forEach(run => {
+    const div = document.createElement('div');
+    div.className = 'workout-run';
+    const summary = document.createElement('p');
+    const status = run.completed ? 'Fullført' : `Avbrutt etter ${run.segmentsDone} av ${run.segmentsTotal} deler`;
+    summary.innerHTML = '<strong></strong> ';
+    summary.querySelector('strong').textContent = sessionLabel(new Date(run.startedAt));
+    summary.appendChild(document.createTextNode(`${formatDuration(run.duration)} · ${status}`));
+    div.appendChild(summary);
+    const sets = (run.sets || []).filter(set => set.reps || set.weight || set.rpe);
+    if (sets.length) {
+      const ul = document.createElement('ul');
+      sets.forEach(set => {
+        const li = document.createElement('li');
+        li.textContent = `${setLabel(set)}: ${formatSetResult(set)}`;
+        ul.appendChild(li);
+      });
+      div.appendChild(ul);
+    }
+    container.appendChild(div);
+  });
+  const backBtn = document.createElement('button');
+  backBtn.className = 'btn';
+  backBtn.textContent = 'Tilbake';
+  backBtn.onclick = () => navigate('/workouts');
+  container.appendChild(backBtn);
+}
+
+// ==== Programs feature ====
+
+/*
+ * A program is a plan of several weeks that coaches build from workouts:
+ * { id, name, start (YYYY-MM-DD, a Monday), weeks, days, everyone,
+ * participants, updatedAt }. `days` places workouts on weekdays:
+ * { week (1-based), day (0 = Sunday like Date#getDay), workoutId }. The
+ * program is assigned to everyone or to the listed participant ids. A
+ * planned day counts as done when the participant logs a completed run of
+ * the workout that day or later in the same week.
+ */
+
+// Share of the planned days so far a participant must have done to count
+// as on track
+const PROGRAM_ON_TRACK_SHARE = 0.8;
+
+function createProgram() {
+  return { id: generateId(), name: 'Nytt program', start: weekStartKey(new Date()), weeks: 4, days: [], everyone: true, participants: [] };
 }
 
-async function saveShoutout(text) {
+async function loadPrograms() {
+  let programs;
   if (supabase) {
-    // Save shoutout as a single row with id=1; create if not exists
-    await supabase.from('shoutouts').upsert({ id: 1, text });
+    const { data, error } = await remoteRead('programs', supabase.from('programs').select());
+    if (error) console.error(error);
+    programs = data || [];
   } else {
-    localStorage.setItem('a4f_backend_shoutout', text);
+    const stored = localStorage.getItem(LS_PROGRAMS);
+    programs = stored ? JSON.parse(stored) : [];
   }
+  return programs.sort((a, b) => a.start.localeCompare(b.start));
 }
 
-async function loadShoutout() {
+async function saveProgram(program) {
+  requirePermission('programs.manage');
+  const values = { ...program, updatedAt: new Date().toISOString() };
   if (supabase) {
-    const { data, error } = await supabase.from('shoutouts').select().eq('id', 1).single();
-    if (data) return data.text;
-    return '';
+    const { error } = await remoteWrite({ table: 'programs', action: 'upsert', values, options: { onConflict: 'id' } });
+    if (error) console.error(error);
+  } else {
+    const programs = (await loadPrograms()).filter(p => p.id !== program.id);
+    programs.push(values);
+    localStorage.setItem(LS_PROGRAMS, JSON.stringify(programs));
   }
-  return localStorage.getItem('a4f_backend_shoutout') || '';
 }
 
-// Theme customisation storage
-function saveThemeSettings() {
-  const accent = document.getElementById('accent-picker').value;
-  const font = document.getElementById('font-picker').value;
-  document.documentElement.style.setProperty('--accent-color', accent);
-  document.documentElement.style.setProperty('--font-family', font);
-  const theme = { accent, font };
+async function removeProgram(id) {
+  requirePermission('programs.manage');
   if (supabase) {
-    supabase.from('themes').upsert({ id: 1, accent, font });
+    await remoteWrite({ table: 'programs', action: 'delete', match: { id } });
   } else {
-    localStorage.setItem(LS_THEME, JSON.stringify(theme));
+    const programs = (await loadPrograms()).filter(p => p.id !== id);
+    localStorage.setItem(LS_PROGRAMS, JSON.stringify(programs));
   }
-  alert('Design lagret!');
 }
 
-function loadThemeSettings() {
-  if (supabase) {
-    // Not awaited: theme saved server side will be applied at next page load
-    return null;
-  }
-  const stored = localStorage.getItem(LS_THEME);
-  return stored ? JSON.parse(stored) : null;
+// Date (YYYY-MM-DD) of a weekday in a week of the program
+function programDate(program, week, day) {
+  const date = new Date(`${program.start}T00:00:00`);
+  date.setDate(date.getDate() + (week - 1) * 7 + (day + 6) % 7);
+  return toDateKey(date);
 }
 
-function applySavedTheme() {
-  let theme = null;
-  if (!SUPABASE_URL || !SUPABASE_KEY) {
-    const stored = localStorage.getItem(LS_THEME);
-    theme = stored ? JSON.parse(stored) : null;
-  }
-  if (theme) {
-    document.documentElement.style.setProperty('--accent-color', theme.accent);
-    document.documentElement.style.setProperty('--font-family', theme.font);
-  }
+function programEnd(program) {
+  return programDate(program, program.weeks, 0);
 }
 
-// ==== Workouts feature ====
+function isAssigned(program, participantId) {
+  return program.everyone || (program.participants || []).includes(participantId);
+}
 
 /**
- * Render the workouts overview page. Lists all existing workouts, allows
- * creating new ones, editing and deleting, and starting a workout timer.
+ * The planned days of a program for one participant, with their status.
+ * @param {Object} program
+ * @param {string} participantId
+ * @param {Array} log Workout log entries (any user; filtered here)
+ * @param {string} today Date as YYYY-MM-DD
+ * @returns {{days: Array<{date: string, week: number, workoutId: string,
+ *   status: string}>, done: number, due: number, missed: number}} status is
+ *   'done', 'missed', 'today' or 'upcoming'; due counts the days up to
+ *   today, where today only counts once it is done
  */
-async function renderWorkouts() {
-  if (!currentSession) {
-    alert('Du må være innlogget for å se økter.');
-    renderLogin();
-    return;
-  }
+function programProgress(program, participantId, log, today) {
+  const days = program.days
+    .filter(d => d.week <= program.weeks)
+    .map(d => ({ date: programDate(program, d.week, d.day), week: d.week, workoutId: d.workoutId }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const runs = log.filter(entry => entry.completed && entry.participant === participantId);
+  const used = new Set();
+  days.forEach(day => {
+    const weekEnd = programDate(program, day.week, 0);
+    const run = runs.find(entry => {
+      const date = toDateKey(new Date(entry.startedAt));
+      return !used.has(entry.id) && entry.workoutId === day.workoutId && date >= day.date && date <= weekEnd;
+    });
+    if (run) used.add(run.id);
+    if (run) day.status = 'done';
+    else if (day.date < today) day.status = 'missed';
+    else day.status = day.date === today ? 'today' : 'upcoming';
+  });
+  const done = days.filter(d => d.status === 'done').length;
+  const missed = days.filter(d => d.status === 'missed').length;
+  return { days, done, due: done + missed, missed };
+}
+
+function isOnTrack(progress) {
+  return progress.due === 0 || progress.done / progress.due >= PROGRAM_ON_TRACK_SHARE;
+}
+
+/**
+ * Today's workouts from the programs assigned to a participant, for Home.
+ * Shows the next planned workout when there is none today.
+ * @param {Object} participant
+ * @returns {Promise<HTMLElement|null>} null without a running program
+ */
+async function renderTodaysWorkout(participant) {
+  const today = toDateKey(new Date());
+  const programs = (await loadPrograms())
+    .filter(p => isAssigned(p, participant.id) && p.start <= today && programEnd(p) >= today);
+  if (!programs.length) return null;
+  const workouts = await loadWorkouts();
+  const log = await loadWorkoutLog();
+  const workoutName = id => (workouts.find(w => w.id === id) || { name: 'Slettet økt' }).name;
+  const div = document.createElement('div');
+  div.className = 'todays-workout';
+  const heading = document.createElement('h3');
+  heading.textContent = 'Dagens økt';
+  div.appendChild(heading);
+  programs.forEach(program => {
+    const progress = programProgress(program, participant.id, log, today);
+    // Days rounded, as a daylight saving change makes one day 23 or 25 hours
+    const days = Math.round((new Date(`${today}T00:00:00`) - new Date(`${program.start}T00:00:00`)) / 86400000);
+    const week = Math.floor(days / 7) + 1;
+    const summary = document.createElement('p');
+    summary.textContent = `${program.name}, uke ${week} av ${program.weeks}: ${progress.done} av ${progress.due} planlagte økter gjennomført så langt.`;
+    div.appendChild(summary);
+    const todays = progress.days.filter(d => d.date === today);
+    todays.forEach(day => {
+      const row = document.createElement('p');
+      const name = document.createElement('strong');
+      name.textContent = workoutName(day.workoutId);
+      row.appendChild(name);
+      if (day.status === 'done') {
+        row.appendChild(document.createTextNode(' ✓ Gjennomført'));
+      } else {
+        const startBtn = document.createElement('button');
+        startBtn.className = 'btn';
+        startBtn.style.marginLeft = '0.5rem';
+        startBtn.textContent = 'Start';
+        startBtn.onclick = () => navigate(`/workouts/${encodeURIComponent(day.workoutId)}/play`);
+        row.appendChild(startBtn);
+      }
+      div.appendChild(row);
+    });
+    if (!todays.length) {
+      const next = progress.days.find(d => d.status === 'upcoming');
+      const p = document.createElement('p');
+      p.textContent = next
+        ? `Ingen økt i dag. Neste: ${workoutName(next.workoutId)} ${new Date(`${next.date}T00:00:00`).toLocaleDateString('no-NO', { weekday: 'long', day: '2-digit', month: '2-digit' })}.`
+        : 'Ingen flere økter i programmet.';
+      div.appendChild(p);
+    }
+  });
+  return div;
+}
+
+/**
+ * Render the programs with an overview of who is on track, for coaches.
+ */
+async function renderPrograms() {
   const container = document.getElementById('content');
   container.innerHTML = '';
-  const workouts = await loadWorkouts();
   const header = document.createElement('div');
-  header.innerHTML = '<h2>Økter</h2><p>Her kan du lage dine egne treningsprogrammer eller starte en tidligere lagret økt.</p>';
+  header.innerHTML = '<h2>Programmer</h2><p>Et program setter sammen økter over flere uker og kan tildeles enkeltdeltakere eller alle.</p>';
   container.appendChild(header);
-  const list = document.createElement('ul');
-  workouts.forEach((wo, idx) => {
-    const li = document.createElement('li');
-    li.style.marginBottom = '0.5rem';
-    li.innerHTML = `<strong>${wo.name}</strong>`;
-    const startBtn = document.createElement('button');
-    startBtn.className = 'btn';
-    startBtn.textContent = 'Start';
-    startBtn.style.marginLeft = '0.5rem';
-    startBtn.onclick = () => renderWorkoutPlayer(wo);
+  const programs = await loadPrograms();
+  const participants = await loadParticipants();
+  const log = await loadWorkoutLog();
+  const today = toDateKey(new Date());
+  programs.forEach(program => {
+    const section = document.createElement('section');
+    section.className = 'program';
+    const title = document.createElement('h3');
+    title.textContent = program.name;
+    section.appendChild(title);
+    const period = document.createElement('p');
+    const assigned = participants.filter(p => isAssigned(program, p.id) && (!program.everyone || p.active !== false));
+    period.textContent = `${program.start} – ${programEnd(program)} · ${program.everyone ? 'alle deltakere' : `${assigned.length} deltakere`}`;
+    section.appendChild(period);
+    if (assigned.length && program.start <= today) {
+      const table = document.createElement('table');
+      table.innerHTML = '<thead><tr><th>Deltaker</th><th>Gjennomført</th><th>Status</th></tr></thead><tbody></tbody>';
+      assigned.forEach(p => {
+        const progress = programProgress(program, p.id, log, today);
+        const tr = document.createElement('tr');
+        const onTrack = isOnTrack(progress);
+        tr.className = onTrack ? 'on-track' : 'behind';
+        [p.name, `${progress.done} av ${progress.due}`, onTrack ? 'På sporet' : `Henger etter (${progress.missed} ikke gjort)`].forEach(text => {
+          const td = document.createElement('td');
+          td.textContent = text;
+          tr.appendChild(td);
+        });
+        table.querySelector('tbody').appendChild(tr);
+      });
+      section.appendChild(table);
+    }
     const editBtn = document.createElement('button');
     editBtn.className = 'btn';
     editBtn.textContent = 'Rediger';
-    editBtn.style.marginLeft = '0.5rem';
-    editBtn.onclick = () => renderWorkoutEditor(wo);
+    editBtn.onclick = () => navigate(`/programs/${encodeURIComponent(program.id)}`);
     const delBtn = document.createElement('button');
     delBtn.className = 'btn';
     delBtn.textContent = 'Slett';
     delBtn.style.marginLeft = '0.5rem';
     delBtn.onclick = async () => {
-      if (confirm('Er du sikker på at du vil slette dette programmet?')) {
-        const updated = workouts.filter((w) => w.id !== wo.id);
-        await saveWorkouts(updated);
-        renderWorkouts();
-      }
+      if (!confirm(`Slette programmet «${program.name}»?`)) return;
+      await removeProgram(program.id);
+      renderPrograms();
     };
-    li.appendChild(startBtn);
-    li.appendChild(editBtn);
-    li.appendChild(delBtn);
-    list.appendChild(li);
+    section.appendChild(editBtn);
+    section.appendChild(delBtn);
+    container.appendChild(section);
   });
-  container.appendChild(list);
   const addBtn = document.createElement('button');
   addBtn.className = 'btn';
-  addBtn.textContent = 'Ny økt';
-  addBtn.onclick = () => {
-    const newWorkout = { id: Date.now().toString(), name: 'Ny økt', exercises: [], audio: {} };
-    renderWorkoutEditor(newWorkout, true);
-  };
+  addBtn.textContent = 'Nytt program';
+  addBtn.onclick = () => navigate('/programs/new');
   container.appendChild(addBtn);
 }
 
 /**
- * Render the workout editor. Allows user to add/remove exercises, set
- * durations and upload custom audio cues. When saved, stores the workout
- * in persistent storage.
- * @param {Object} workout The workout to edit
- * @param {boolean} isNew Indicates if this is a new workout
- */
-async function renderWorkoutEditor(workout, isNew = false) {
-  const container = document.getElementById('content');
-  container.innerHTML = '';
-  const wrapper = document.createElement('div');
-  wrapper.innerHTML = `
-    <h2>Rediger økt</h2>
-    <div class="form-group">
-      <label for="wo-name">Navn på økten</label>
-      <input id="wo-name" type="text" value="${workout.name || ''}" />
-    </div>
-    <h3>Øvelser</h3>
-    <div id="exercise-list"></div>
-    <button id="add-exercise" class="btn">Legg til øvelse</button>
-    <h3>Lydsignaler</h3>
-    <p>Du kan laste opp dine egne lydfiler for start, arbeid, pause og slutt. Hvis du lar feltet stå tomt brukes standardlyder.</p>
-    <div class="form-group">
-      <label>Start</label>
-      <input id="audio-start" type="file" accept="audio/*" />
-    </div>
-    <div class="form-group">
-      <label>Arbeid</label>
-      <input id="audio-work" type="file" accept="audio/*" />
-    </div>
-    <div class="form-group">
-      <label>Paus</label>
-      <input id="audio-rest" type="file" accept="audio/*" />
-    </div>
-    <div class="form-group">
-      <label>Slutt</label>
-      <input id="audio-end" type="file" accept="audio/*" />
-    </div>
-    <button id="save-workout" class="btn">Lagre økt</button>
-    <button id="cancel-workout" class="btn" style="margin-left:0.5rem;">Avbryt</button>
-  `;
-  container.appendChild(wrapper);
-  const exercisesDiv = document.getElementById('exercise-list');
-  function refreshExercises() {
-    exercisesDiv.innerHTML = '';
-    workout.exercises.forEach((ex, idx) => {
-      const row = document.createElement('div');
-      row.style.marginBottom = '0.5rem';
-      row.innerHTML = `
-        <input type="text" placeholder="Navn" value="${ex.name}" style="width:30%;" />
-        <input type="number" placeholder="Arbeid (s)" value="${ex.work}" style="width:20%;margin-left:0.5rem;" />
-        <input type="number" placeholder="Pause (s)" value="${ex.rest}" style="width:20%;margin-left:0.5rem;" />
-        <input type="number" placeholder="Sett" value="${ex.sets}" style="width:15%;margin-left:0.5rem;" />
-        <button class="btn" style="margin-left:0.5rem;">Fjern</button>
-      `;
-      const inputs = row.querySelectorAll('input');
-      inputs[0].oninput = (e) => { ex.name = e.target.value; };
-      inputs[1].oninput = (e) => { ex.work = parseInt(e.target.value) || 0; };
-      inputs[2].oninput = (e) => { ex.rest = parseInt(e.target.value) || 0; };
-      inputs[3].oninput = (e) => { ex.sets = parseInt(e.target.value) || 1; };
-      row.querySelector('button').onclick = () => {
-        workout.exercises.splice(idx, 1);
-        refreshExercises();
-      };
-      exercisesDiv.appendChild(row);
-    });
-  }
-  refreshExercises();
-  document.getElementById('add-exercise').onclick = () => {
-    workout.exercises.push({ name: '', work: 30, rest: 10, sets: 1 });
-    refreshExercises();
-  };
-  // Audio inputs: read file as Data URL and attach to workout.audio
-  function handleAudio(id, key) {
-    const input = document.getElementById(id);
-    input.onchange = (e) => {
-      const file = e.target.files[0];
-      if (!file) return;
-      const reader = new FileReader();
-      reader.onload = () => {
-        workout.audio = workout.audio || {};
-        workout.audio[key] = reader.result;
-      };
-      reader.readAsDataURL(file);
-    };
-  }
-  handleAudio('audio-start', 'start');
-  handleAudio('audio-work', 'work');
-  handleAudio('audio-rest', 'rest');
-  handleAudio('audio-end', 'end');
-  // Save/cancel handlers
-  document.getElementById('save-workout').onclick = async () => {
-    const nameInput = document.getElementById('wo-name').value.trim();
-    if (!nameInput) {
-      alert('Gi økten et navn.');
-      return;
-    }
-    workout.name = nameInput;
-    let workouts = await loadWorkouts();
-    if (isNew) {
-      workouts.push(workout);
-    } else {
-      workouts = workouts.map(w => w.id === workout.id ? workout : w);
-    }
-    await saveWorkouts(workouts);
-    alert('Økten er lagret.');
-    renderWorkouts();
-  };
-  document.getElementById('cancel-workout').onclick = () => {
-    renderWorkouts();
-  };
-}
-
-/**
- * Render the workout player. Displays current exercise and countdown,
- * plays audio cues, and allows the user to start/pause, skip or stop
- * the workout. This function uses setInterval for timing and stops
- * automatically after finishing all exercises and sets.
- * @param {Object} workout The workout to play
+ * Render the program editor: name, start week, length, a workout per
+ * weekday and who the program is for.
+ * @param {Object} program Program to edit; changes are made to it directly
  */
-function renderWorkoutPlayer(workout) {
+async function renderProgramEditor(program) {
   const container = document.getElementById('content');
   container.innerHTML = '';
-  const title = document.createElement('h2');
-  title.textContent = `Spiller: ${workout.name}`;
-  container.appendChild(title);
-  const info = document.createElement('p');
-  container.appendChild(info);
-  const timerDiv = document.createElement('div');
-  timerDiv.style.fontSize = '2rem';
-  timerDiv.style.margin = '1rem 0';
-  container.appendChild(timerDiv);
-  const controls = document.createElement('div');
-  controls.style.display = 'flex';
-  controls.style.gap = '0.5rem';
-  const playBtn = document.createElement('button');
-  playBtn.textContent = 'Start';
-  playBtn.className = 'btn';
-  const pauseBtn = document.createElement('button');
-  pauseBtn.textContent = 'Pause';
-  pauseBtn.className = 'btn';
-  const nextBtn = document.createElement('button');
-  nextBtn.textContent = 'Neste';
-  nextBtn.className = 'btn';
-  const stopBtn = document.createElement('button');
-  stopBtn.textContent = 'Avslutt';
-  stopBtn.className = 'btn';
-  controls.appendChild(playBtn);
-  controls.appendChild(pauseBtn);
-  controls.appendChild(nextBtn);
-  controls.appendChild(stopBtn);
-  container.appendChild(controls);
-  // Flatten the workout into a sequence of segments: each set of each exercise
-  const sequence = [];
-  workout.exercises.forEach(ex => {
-    for (let s = 0; s < ex.sets; s++) {
-      sequence.push({ type: 'work', name: ex.name, duration: ex.work });
-      if (ex.rest > 0) {
-        sequence.push({ type: 'rest', name: 'Pause', duration: ex.rest });
-      }
+  const workouts = await loadWorkouts();
+  const participants = await loadParticipants();
+  const wrapper = document.createElement('div');
+  wrapper.innerHTML = `
+    <h2>Rediger program</h2>
+    <div class="form-group">
+      <label for="program-name">Navn</label>
+      <input id="program-name" type="text" />
+    </div>
+    <div class="form-group">
+      <label for="program-start">Første uke (starter mandag)</label>
+      <input id="program-start" type="date" />
+    </div>
+    <div class="form-group">
+      <label for="program-weeks">Antall uker</label>
+      <input id="program-weeks" type="number" min="1" max="52" />
+    </div>
+    <h3>Plan</h3>
+    <div id="program-grid"></div>
+    <h3>Tildelt</h3>
+    <div class="form-group">
+      <label><input type="checkbox" id="program-everyone" /> Alle deltakere</label>
+    </div>
+    <div id="program-participants" class="form-group"></div>
+    <button id="save-program" class="btn">Lagre program</button>
+    <button id="cancel-program" class="btn" style="margin-left:0.5rem;">Avbryt</button>
+  `;
+  container.appendChild(wrapper);
+  const nameInput = document.getElementById('program-name');
+  const startInput = document.getElementById('program-start');
+  const weeksInput = document.getElementById('program-weeks');
+  nameInput.value = program.name;
+  startInput.value = program.start;
+  weeksInput.value = program.weeks;
+  startInput.onchange = () => {
+    // Weeks run Monday to Sunday
+    if (startInput.value) startInput.value = weekStartKey(new Date(`${startInput.value}T00:00:00`));
+  };
+  const grid = document.getElementById('program-grid');
+  function renderGrid() {
+    const weeks = Math.max(1, parseInt(weeksInput.value, 10) || 1);
+    const table = document.createElement('table');
+    table.className = 'program-grid';
+    table.innerHTML = `<thead><tr><th>Uke</th>${WEEKDAYS.map(w => `<th>${w.short}</th>`).join('')}</tr></thead><tbody></tbody>`;
+    for (let week = 1; week <= weeks; week++) {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `<td>${week}</td>`;
+      WEEKDAYS.forEach(w => {
+        const td = document.createElement('td');
+        const select = document.createElement('select');
+        select.innerHTML = '<option value="">–</option>';
+        workouts.forEach(wo => {
+          const option = document.createElement('option');
+          option.value = wo.id;
+          option.textContent = wo.name;
+          select.appendChild(option);
+        });
+        const planned = program.days.find(d => d.week === week && d.day === w.day);
+        select.value = planned ? planned.workoutId : '';
+        select.onchange = () => {
+          program.days = program.days.filter(d => !(d.week === week && d.day === w.day));
+          if (select.value) program.days.push({ week, day: w.day, workoutId: select.value });
+        };
+        td.appendChild(select);
+        tr.appendChild(td);
+      });
+      table.querySelector('tbody').appendChild(tr);
     }
+    grid.innerHTML = '';
+    grid.appendChild(table);
+  }
+  weeksInput.onchange = renderGrid;
+  renderGrid();
+  const everyone = document.getElementById('program-everyone');
+  const list = document.getElementById('program-participants');
+  participants.forEach(p => {
+    const label = document.createElement('label');
+    label.innerHTML = `<input type="checkbox" value="${p.id}" /> `;
+    label.appendChild(document.createTextNode(p.name));
+    label.querySelector('input').checked = (program.participants || []).includes(p.id);
+    list.appendChild(label);
   });
-  let currentIdx = 0;
-  let remaining = sequence.length ? sequence[0].duration : 0;
-  let running = false;
-  let intervalId = null;
-  function updateDisplay() {
-    if (!sequence.length) {
-      info.textContent = 'Ingen øvelser definert.';
-      timerDiv.textContent = '';
+  everyone.checked = program.everyone;
+  const toggleList = () => list.classList.toggle('hidden', everyone.checked);
+  everyone.onchange = toggleList;
+  toggleList();
+  document.getElementById('save-program').onclick = async () => {
+    const name = nameInput.value.trim();
+    const weeks = parseInt(weeksInput.value, 10);
+    if (!name || !startInput.value || !(weeks >= 1)) {
+      alert('Fyll inn navn, første uke og antall uker.');
       return;
     }
-    const seg = sequence[currentIdx];
-    info.textContent = `${seg.type === 'work' ? 'Øvelse' : 'Pause'}: ${seg.name}`;
-    timerDiv.textContent = `${remaining}s`;
-  }
-  function playAudioCue(type) {
-    const src = workout.audio && workout.audio[type];
-    if (src) {
-      const audio = new Audio(src);
-      audio.play().catch(() => {});
-    } else {
-      // fallback beep using a short oscillator
-      const ctx = new (window.AudioContext || window.webkitAudioContext)();
-      const osc = ctx.createOscillator();
-      const gain = ctx.createGain();
-      osc.frequency.value = 600;
-      osc.connect(gain);
-      gain.connect(ctx.destination);
-      osc.start();
-      gain.gain.setValueAtTime(1, ctx.currentTime);
-      gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.1);
-      osc.stop(ctx.currentTime + 0.1);
-    }
-  }
-  function startTimer() {
-    if (running || !sequence.length) return;
-    running = true;
-    playBtn.disabled = true;
-    pauseBtn.disabled = false;
-    updateDisplay();
-    playAudioCue(sequence[currentIdx].type);
-    intervalId = setInterval(() => {
-      if (!running) return;
-      remaining--;
-      timerDiv.textContent = `${remaining}s`;
-      if (remaining <= 0) {
-        currentIdx++;
-        if (currentIdx >= sequence.length) {
-          clearInterval(intervalId);
-          playAudioCue('end');
-          info.textContent = 'Ferdig!';
-          timerDiv.textContent = '';
-          running = false;
-          playBtn.disabled = true;
-          pauseBtn.disabled = true;
-          nextBtn.disabled = true;
-          return;
-        }
-        const seg = sequence[currentIdx];
-        remaining = seg.duration;
-        updateDisplay();
-        playAudioCue(seg.type);
-      }
-    }, 1000);
-  }
-  function pauseTimer() {
-    running = false;
-    playBtn.disabled = false;
-    pauseBtn.disabled = true;
-    clearInterval(intervalId);
-  }
-  function nextSegment() {
-    if (!sequence.length) return;
-    if (currentIdx < sequence.length - 1) {
-      currentIdx++;
-      remaining = sequence[currentIdx].duration;
-      updateDisplay();
-      playAudioCue(sequence[currentIdx].type);
-    } else {
-      remaining = 0;
-      updateDisplay();
+    program.name = name;
+    program.start = startInput.value;
+    program.weeks = weeks;
+    program.days = program.days.filter(d => d.week <= weeks);
+    program.everyone = everyone.checked;
+    program.participants = [...list.querySelectorAll('input:checked')].map(input => input.value);
+    try {
+      await saveProgram(program);
+    } catch (err) {
+      alert(err.message);
+      return;
     }
-  }
-  playBtn.onclick = () => startTimer();
-  pauseBtn.onclick = () => pauseTimer();
-  nextBtn.onclick = () => nextSegment();
-  stopBtn.onclick = () => {
-    clearInterval(intervalId);
-    renderWorkouts();
+    navigate('/programs');
   };
-  pauseBtn.disabled = true;
-  updateDisplay();
+  document.getElementById('cancel-program').onclick = () => navigate('/programs');
+}
+
+// Look up a program for a route, like withWorkout()
+async function withProgram(id, render) {
+  const program = (await loadPrograms()).find(p => p.id === id);
+  if (!program) {
+    const container = document.getElementById('content');
+    container.innerHTML = '<h2>Fant ikke programmet</h2><p>Programmet finnes ikke lenger.</p>';
+    return;
+  }
+  render(program);
 }
 
 // Storage functions for workouts and messages
 
 async function loadWorkouts() {
   if (supabase) {
-    const { data, error } = await supabase.from('workouts').select();
+    const { data, error } = await remoteRead('workouts', supabase.from('workouts').select());
     if (error) console.error(error);
     return data || [];
   }
@@ -918,55 +6157,721 @@ async function loadWorkouts() {
 }
 
 async function saveWorkouts(arr) {
+  // Audio files go to blob storage; the records keep a reference
+  for (const w of arr) {
+    for (const type of Object.keys(w.audio || {})) {
+      w.audio[type] = await storeBlob(w.audio[type]);
+    }
+  }
   if (supabase) {
-    // Upsert each workout
-    for (const w of arr) {
-      await supabase.from('workouts').upsert(w, { onConflict: 'id' });
+    // Upsert each workout the user may change; row level security rejects
+    // the others
+    for (const w of arr.filter(canEditWorkout)) {
+      await remoteWrite({ table: 'workouts', action: 'upsert', values: w, options: { onConflict: 'id' } });
     }
   } else {
-    localStorage.setItem(LS_WORKOUTS, JSON.stringify(arr));
+    setLocalJson(LS_WORKOUTS, arr);
+    await pruneUnusedBlobs();
   }
 }
 
+// Messages are grouped into threads keyed by participant id
 async function loadMessages() {
   if (supabase) {
     const { data, error } = await supabase.from('messages').select();
     if (error) console.error(error);
-    return data || [];
+    const threads = {};
+    (data || []).sort((a, b) => a.timestamp.localeCompare(b.timestamp)).forEach(msg => {
+      (threads[msg.to] = threads[msg.to] || []).push(msg);
+    });
+    return threads;
   }
   const stored = localStorage.getItem(LS_MESSAGES);
   return stored ? JSON.parse(stored) : {};
 }
 
 async function saveMessages(obj) {
+  for (const id in obj) {
+    for (const msg of obj[id]) {
+      for (const att of msg.attachments || []) {
+        att.data = await storeBlob(att.data);
+      }
+    }
+  }
   if (supabase) {
     // Clear and insert messages; supabase upsert by id or timestamp
-    for (const name in obj) {
-      for (const msg of obj[name]) {
-        await supabase.from('messages').upsert(msg);
+    for (const id in obj) {
+      for (const msg of obj[id]) {
+        await remoteWrite({ table: 'messages', action: 'upsert', values: msg });
       }
     }
   } else {
-    localStorage.setItem(LS_MESSAGES, JSON.stringify(obj));
+    setLocalJson(LS_MESSAGES, obj);
+    await pruneUnusedBlobs();
+  }
+}
+
+// ==== CSV feature ====
+
+// Excel in Norwegian locale expects semicolons, and needs the byte order
+// mark to read the file as UTF-8 rather than Windows-1252
+const CSV_SEPARATOR = ';';
+const CSV_BOM = '\uFEFF';
+
+/**
+ * Turn rows into CSV text for spreadsheets.
+ * @param {Array<Array>} rows Rows of cell values, header first
+ * @returns {string}
+ */
+function toCsv(rows) {
+  const cell = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    // Keep spreadsheets from evaluating text cells as formulas
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = "'" + text;
+    return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return CSV_BOM + rows.map(row => row.map(cell).join(CSV_SEPARATOR)).join('\r\n');
+}
+
+/**
+ * Parse CSV text. The separator (semicolon, comma or tab) is taken from
+ * whichever splits the first line into the most columns. Blank lines are
+ * skipped.
+ * @param {string} text
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const separator = [';', ',', '\t'].reduce((best, s) => (
+    firstLine.split(s).length > firstLine.split(best).length ? s : best
+  ));
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c !== '"') field += c;
+      else if (text[i + 1] === '"') { field += '"'; i++; }
+      else quoted = false;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === separator) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+// Files saved by Excel are often Windows-1252 rather than UTF-8
+async function readTextFile(file) {
+  const buffer = await file.arrayBuffer();
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (err) {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+}
+
+function downloadCsv(rows, filename) {
+  downloadFile(toCsv(rows), filename, 'text/csv;charset=utf-8');
+}
+
+// Participant fields that can be imported, with the column headers used to
+// guess the mapping. A last name column is appended to the name.
+const PARTICIPANT_CSV_FIELDS = [
+  { field: 'name', label: 'Navn', headers: ['navn', 'name', 'fornavn', 'first name', 'deltaker'] },
+  { field: 'lastName', label: 'Etternavn', headers: ['etternavn', 'last name', 'surname'] },
+  { field: 'email', label: 'E‑post', headers: ['e-post', 'epost', 'email', 'e-mail', 'mail'] },
+  { field: 'phone', label: 'Telefon', headers: ['telefon', 'tlf', 'mobil', 'phone', 'mobile'] }
+];
+
+function normaliseForMatch(value) {
+  return (value || '').trim().toLowerCase();
+}
+
+/**
+ * Find the participant an imported one duplicates: same email when both
+ * have one, otherwise same name. Case and surrounding spaces are ignored.
+ * @param {Array} participants Participants to search
+ * @param {Object} fields Imported name, email and phone
+ * @returns {Object|undefined}
+ */
+function findDuplicateParticipant(participants, fields) {
+  const email = normaliseForMatch(fields.email);
+  return participants.find(p => (
+    email && p.email
+      ? normaliseForMatch(p.email) === email
+      : normaliseForMatch(p.name) === normaliseForMatch(fields.name)
+  ));
+}
+
+/**
+ * Render the column mapping and preview for a participant CSV import.
+ * The first row holds the column headers.
+ * @param {HTMLElement} root Element to render into
+ * @param {Array<Array<string>>} rows Parsed CSV
+ * @param {Function} onImported Called after participants were added
+ */
+async function renderParticipantImport(root, rows, onImported) {
+  const [headers, ...body] = rows;
+  const existing = await loadParticipants();
+  const mapping = {};
+  PARTICIPANT_CSV_FIELDS.forEach(f => {
+    const index = headers.findIndex(h => f.headers.includes(normaliseForMatch(h)));
+    mapping[f.field] = index;
+  });
+  root.innerHTML = '';
+  const mappingDiv = document.createElement('div');
+  mappingDiv.className = 'csv-mapping';
+  PARTICIPANT_CSV_FIELDS.forEach(f => {
+    const label = document.createElement('label');
+    label.textContent = f.label + ' ';
+    const select = document.createElement('select');
+    ['(ingen)'].concat(headers).forEach((h, i) => {
+      const opt = document.createElement('option');
+      opt.value = i - 1;
+      opt.textContent = h || `Kolonne ${i}`;
+      select.appendChild(opt);
+    });
+    select.value = String(mapping[f.field]);
+    select.onchange = () => {
+      mapping[f.field] = parseInt(select.value);
+      refreshPreview();
+    };
+    label.appendChild(select);
+    mappingDiv.appendChild(label);
+  });
+  root.appendChild(mappingDiv);
+  const preview = document.createElement('table');
+  preview.className = 'csv-preview';
+  root.appendChild(preview);
+  const importBtn = document.createElement('button');
+  importBtn.className = 'btn';
+  root.appendChild(importBtn);
+  let candidates = [];
+  function refreshPreview() {
+    const value = (row, field) => (mapping[field] >= 0 ? (row[mapping[field]] || '').trim() : '');
+    const seen = [];
+    candidates = body.map(row => {
+      const fields = {
+        name: [value(row, 'name'), value(row, 'lastName')].filter(Boolean).join(' '),
+        email: value(row, 'email').toLowerCase(),
+        phone: value(row, 'phone')
+      };
+      let status = 'Ny';
+      if (!fields.name) status = 'Mangler navn';
+      else if (findDuplicateParticipant(existing, fields)) status = 'Finnes allerede';
+      else if (findDuplicateParticipant(seen, fields)) status = 'Duplikat i filen';
+      if (status === 'Ny') seen.push(fields);
+      return { fields, status };
+    });
+    preview.innerHTML = '<thead><tr><th>Navn</th><th>E‑post</th><th>Telefon</th><th>Status</th></tr></thead><tbody></tbody>';
+    const tbody = preview.querySelector('tbody');
+    candidates.forEach(c => {
+      const tr = document.createElement('tr');
+      [c.fields.name, c.fields.email, c.fields.phone, c.status].forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      if (c.status !== 'Ny') tr.className = 'csv-skipped';
+      tbody.appendChild(tr);
+    });
+    const count = candidates.filter(c => c.status === 'Ny').length;
+    importBtn.textContent = `Importer ${count} deltaker${count === 1 ? '' : 'e'}`;
+    importBtn.disabled = !count;
+  }
+  importBtn.onclick = async () => {
+    const added = candidates.filter(c => c.status === 'Ny');
+    for (const c of added) {
+      await addParticipant(c.fields);
+    }
+    root.innerHTML = '';
+    alert(`${added.length} deltakere er importert. ${candidates.length - added.length} rader ble hoppet over.`);
+    onImported();
+  };
+  refreshPreview();
+}
+
+// Attendance of one session, including bookings, as spreadsheet rows
+async function exportSessionAttendance(sessionId) {
+  const session = (await loadSessions()).find(s => s.id === sessionId);
+  const participants = await loadParticipants();
+  const records = await loadAttendance(sessionId);
+  const { booked, waitlist } = splitBookings(await loadBookings(sessionId), sessionCapacity(session, await loadSchedule()));
+  const yesNo = value => (value ? 'Ja' : 'Nei');
+  const rows = [['Deltaker', 'E‑post', 'Booking', 'Møtt', 'Beste innsats']];
+  participants.forEach(p => {
+    const record = records.find(r => r.participant === p.id);
+    let booking = '';
+    if (booked.some(b => b.participant === p.id)) booking = 'Booket';
+    else if (waitlist.some(b => b.participant === p.id)) booking = 'Venteliste';
+    // Inactive participants are only listed when they took part
+    if (!p.active && !record && !booking) return;
+    rows.push([p.name, p.email || '', booking, record ? yesNo(record.attended) : '', record ? yesNo(record.best) : '']);
+  });
+  downloadCsv(rows, `ask4fitness-oppmote-${toDateKey(new Date(sessionId))}.csv`);
+}
+
+// ==== Backup feature ====
+
+/**
+ * Backup and restore of all data, in the admin panel and, in localStorage
+ * mode where nobody can log in, on the backup page.
+ * @returns {HTMLElement}
+ */
+function renderBackupSection() {
+  const section = document.createElement('section');
+  section.id = 'admin-backup';
+  section.className = 'admin-section';
+  section.innerHTML = `
+    <h3>Backup</h3>
+    <p>Last ned alle data som én fil, og gjenopprett dem herfra hvis nettleseren tømmes eller appen flyttes.</p>
+    <p id="storage-usage"></p>
+    <button id="export-backup" class="btn">Last ned backup</button>
+    <div class="form-group">
+      <label for="backup-file">Gjenopprett fra fil</label>
+      <input id="backup-file" type="file" accept=".json,application/json" />
+      <label><input type="radio" name="backup-mode" value="merge" checked /> Slå sammen med dagens data (nyeste versjon av hver post beholdes)</label>
+      <label><input type="radio" name="backup-mode" value="replace" /> Erstatt alle data med backupen</label>
+      <button id="restore-backup" class="btn">Gjenopprett</button>
+    </div>
+    <div id="backup-move" class="hidden">
+      <p>Data som ble lagret i denne nettleseren før Supabase ble satt opp, kan flyttes over til databasen.</p>
+      <button id="move-backup" class="btn">Flytt lokale data til Supabase</button>
+    </div>
+  `;
+  getStorageEstimate().then(estimate => {
+    if (estimate) {
+      section.querySelector('#storage-usage').textContent =
+        `Lagring i nettleseren: ${formatBytes(estimate.usage)} av ${formatBytes(estimate.quota)} brukt.`;
+    }
+  });
+  section.querySelector('#export-backup').onclick = async () => {
+    const backup = await createBackup();
+    downloadFile(JSON.stringify(backup, null, 2), `ask4fitness-backup-${toDateKey(new Date())}.json`, 'application/json');
+  };
+  section.querySelector('#restore-backup').onclick = async () => {
+    const file = section.querySelector('#backup-file').files[0];
+    if (!file) return;
+    let backup;
+    try {
+      backup = JSON.parse(await file.text());
+    } catch (err) {
+      alert('Filen er ikke gyldig JSON.');
+      return;
+    }
+    const errors = validateBackup(backup);
+    if (errors.length) {
+      alert('Backupen kan ikke gjenopprettes:\n' + errors.join('\n'));
+      return;
+    }
+    const mode = section.querySelector('input[name="backup-mode"]:checked').value;
+    const question = mode === 'replace'
+      ? 'Alle data erstattes med backupen fra'
+      : 'Backupen slås sammen med dagens data. Backup fra';
+    if (!confirm(`${question} ${new Date(backup.exportedAt).toLocaleString('no-NO')}: ${describeDataset(backup.data)}. Fortsette?`)) return;
+    let failed;
+    try {
+      failed = await restoreBackup(backup, mode);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    alert(failed ? `Backupen er gjenopprettet, men ${failed} skriving(er) feilet. Se konsollen.` : 'Backupen er gjenopprettet.');
+    applySavedTheme();
+    handleRoute();
+  };
+  if (supabase) {
+    section.querySelector('#backup-move').classList.remove('hidden');
+    section.querySelector('#move-backup').onclick = async () => {
+      const local = readLocalDataset();
+      const summary = describeDataset(local);
+      if (summary === describeDataset({})) {
+        alert('Fant ingen lokale data å flytte.');
+        return;
+      }
+      if (!confirm(`Flytte lokale data til Supabase: ${summary}? Dataene slås sammen med det som allerede ligger i databasen.`)) return;
+      let failed;
+      try {
+        failed = await moveLocalDataToSupabase(local);
+      } catch (err) {
+        alert(err.message);
+        return;
+      }
+      alert(failed ? `${failed} skriving(er) feilet. Se konsollen.` : 'De lokale dataene er flyttet til Supabase.');
+      handleRoute();
+    };
+  }
+  return section;
+}
+
+// Backup page for localStorage mode, where the admin panel cannot be reached
+function renderBackupPage() {
+  const container = document.getElementById('content');
+  container.innerHTML = '';
+  if (!canManageBackups()) {
+    container.innerHTML = '<h2>Backup</h2><p>Backup tas fra adminpanelet av eieren.</p>';
+    return;
+  }
+  container.appendChild(renderBackupSection());
+}
+
+const BACKUP_FORMAT = 'ask4fitness-backup';
+const BACKUP_VERSION = 1;
+
+/*
+ * Everything a backup holds, with its localStorage key and Supabase table.
+ * Kinds: 'list' (rows identified by `rowKey`), 'threads' (messages grouped
+ * by participant id), 'setting' (single row with id 1), 'text' (single row
+ * with id 1 holding `text`) and 'baseline' (opening scores keyed by
+ * participant id, stored by name in Supabase).
+ */
+const BACKUP_DATASETS = [
+  { name: 'participants', key: LS_PARTICIPANTS, table: 'participants', kind: 'list', rowKey: ['id'], required: ['id', 'name'], label: 'deltakere', load: loadParticipants },
+  { name: 'sessions', key: LS_SESSIONS, table: 'sessions', kind: 'list', rowKey: ['id'], label: 'økter', load: () => loadSessions(true) },
+  { name: 'bookings', key: LS_BOOKINGS, table: 'bookings', kind: 'list', rowKey: ['sessionId', 'participant'], label: 'bookinger', load: () => loadBookings() },
+  { name: 'attendance', key: LS_ATTENDANCE, table: 'attendance', kind: 'list', rowKey: ['sessionId', 'participant'], label: 'oppmøteregistreringer', load: () => loadAttendance() },
+  { name: 'workouts', key: LS_WORKOUTS, table: 'workouts', kind: 'list', rowKey: ['id'], label: 'treningsprogrammer', load: loadWorkouts },
+  { name: 'profiles', key: LS_PROFILES, table: 'profiles', kind: 'list', rowKey: ['id'], label: 'brukerprofiler', load: loadProfiles },
+  { name: 'inviteCodes', key: LS_INVITE_CODES, table: 'invite_codes', kind: 'list', rowKey: ['code'], label: 'invitasjonskoder', load: loadInviteCodes },
+  { name: 'seasons', key: LS_SEASONS, table: 'seasons', kind: 'list', rowKey: ['id'], label: 'sesonger', load: loadSeasons },
+  { name: 'exercises', key: LS_EXERCISES, table: 'exercises', kind: 'list', rowKey: ['id'], required: ['id', 'name'], label: 'øvelser', load: loadExercises },
+  { name: 'programs', key: LS_PROGRAMS, table: 'programs', kind: 'list', rowKey: ['id'], label: 'programmer', load: loadPrograms },
+  { name: 'workoutLog', key: LS_WORKOUT_LOG, table: 'workout_log', kind: 'list', rowKey: ['id'], label: 'treningslogger', load: loadWorkoutLog },
+  { name: 'shoutoutLog', key: LS_SHOUTOUT_LOG, table: 'shoutout_log', kind: 'list', rowKey: ['id'], label: 'shoutouts', load: loadShoutoutHistory },
+  { name: 'messages', key: LS_MESSAGES, table: 'messages', kind: 'threads', label: 'meldinger', load: loadMessages },
+  { name: 'schedule', key: LS_SCHEDULE, table: 'schedules', kind: 'setting', load: loadSchedule },
+  { name: 'scoringRules', key: LS_SCORING, table: 'scoring_rules', kind: 'setting', load: loadScoringRules, toRow: rules => ({ id: 1, rules }) },
+  { name: 'paymentSettings', key: LS_PAYMENT, table: 'payment_settings', kind: 'setting', load: loadPaymentSettings },
+  { name: 'theme', key: LS_THEME, table: 'themes', kind: 'setting', load: loadTheme },
+  { name: 'shoutout', key: LS_SHOUTOUT, table: 'shoutouts', kind: 'text', load: loadShoutout },
+  { name: 'scores', key: LS_SCORES, table: 'scores', kind: 'baseline', load: loadScoreBaseline }
+];
+
+function emptyDatasetValue(kind) {
+  if (kind === 'list') return [];
+  if (kind === 'setting') return null;
+  if (kind === 'text') return '';
+  return {};
+}
+
+function rowKeyOf(dataset, row) {
+  return dataset.rowKey.map(col => row[col]).join('|');
+}
+
+// Everything stored in the active backend
+async function collectDataset() {
+  const data = {};
+  for (const d of BACKUP_DATASETS) {
+    data[d.name] = await d.load();
+  }
+  return data;
+}
+
+// Everything stored in this browser, even when Supabase is configured
+function readLocalDataset() {
+  migrateLocalData();
+  const data = {};
+  BACKUP_DATASETS.forEach(d => {
+    const stored = localStorage.getItem(d.key);
+    if (!stored) data[d.name] = emptyDatasetValue(d.kind);
+    else data[d.name] = d.kind === 'text' ? stored : JSON.parse(stored);
+  });
+  return data;
+}
+
+// In localStorage mode nobody can log in and the data only lives in this
+// browser, so whoever uses the browser may back it up and restore it
+function canManageBackups() {
+  return !supabase || can('backup.manage');
+}
+
+function requireBackupAccess() {
+  if (supabase) requirePermission('backup.manage');
+}
+
+async function createBackup() {
+  requireBackupAccess();
+  const data = await collectDataset();
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: supabase ? 'supabase' : 'local',
+    data,
+    blobs: await exportBlobs(data)
+  };
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Files in IndexedDB the records reference, as data URLs keyed by reference
+async function exportBlobs(data) {
+  const blobs = {};
+  for (const ref of collectBlobRefs(data)) {
+    const blob = await getBlob(ref);
+    if (blob) blobs[ref] = await blobToDataUrl(blob);
+  }
+  return blobs;
+}
+
+// Store the files of a backup and point the records at the stored copies
+function importBlobs(data, blobs) {
+  return mapBlobRefs(data, ref => (blobs[ref] ? storeBlob(blobs[ref]) : ref));
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check that a parsed file is a backup this version of the app can restore.
+ * Datasets missing from the file are allowed and restored as empty.
+ * @param {*} backup Parsed JSON
+ * @returns {Array<string>} Problems found, empty when the backup is valid
+ */
+function validateBackup(backup) {
+  if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+    return ['Filen er ikke en Ask4Fitness-backup.'];
+  }
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    return [`Backupen er laget av en nyere versjon av appen (versjon ${backup.version}).`];
+  }
+  if (!isPlainObject(backup.data)) return ['Backupen mangler data.'];
+  const errors = [];
+  if ('blobs' in backup && (!isPlainObject(backup.blobs) || Object.values(backup.blobs).some(url => typeof url !== 'string' || !url.startsWith('data:')))) {
+    errors.push('blobs: ugyldige filer.');
+  }
+  BACKUP_DATASETS.forEach(d => {
+    if (!(d.name in backup.data)) return;
+    const value = backup.data[d.name];
+    if (d.kind === 'list') {
+      if (!Array.isArray(value)) {
+        errors.push(`${d.name}: forventet en liste.`);
+        return;
+      }
+      const required = d.required || d.rowKey;
+      value.forEach((row, i) => {
+        const missing = required.filter(col => !isPlainObject(row) || !row[col]);
+        if (missing.length) errors.push(`${d.name}[${i}]: mangler ${missing.join(', ')}.`);
+      });
+    } else if (d.kind === 'threads') {
+      if (!isPlainObject(value) || Object.values(value).some(thread => !Array.isArray(thread) || thread.some(msg => !isPlainObject(msg) || !msg.id))) {
+        errors.push(`${d.name}: ugyldige meldingstråder.`);
+      }
+    } else if (d.kind === 'setting') {
+      if (value !== null && !isPlainObject(value)) errors.push(`${d.name}: forventet et objekt.`);
+    } else if (d.kind === 'text') {
+      if (typeof value !== 'string') errors.push(`${d.name}: forventet tekst.`);
+    } else if (!isPlainObject(value)) {
+      errors.push(`${d.name}: forventet et objekt.`);
+    }
+  });
+  // Long lists of broken rows are not useful in an alert
+  return errors.length > 10 ? errors.slice(0, 10).concat(`… og ${errors.length - 10} feil til.`) : errors;
+}
+
+// Short human readable count of the records in a dataset
+function describeDataset(data) {
+  const parts = BACKUP_DATASETS.filter(d => d.label).map(d => {
+    const value = data[d.name];
+    if (!value) return null;
+    const count = d.kind === 'threads'
+      ? Object.values(value).reduce((sum, thread) => sum + thread.length, 0)
+      : value.length;
+    return count ? `${count} ${d.label}` : null;
+  }).filter(Boolean);
+  return parts.length ? joinWithAnd(parts) : 'ingen poster';
+}
+
+// When a row exists on both sides, the most recently changed one is kept
+function newerRow(current, incoming) {
+  const stamp = row => row.updatedAt || row.timestamp || '';
+  return stamp(current) > stamp(incoming) ? current : incoming;
+}
+
+function mergeRows(dataset, current, incoming) {
+  const rows = new Map();
+  current.forEach(row => rows.set(rowKeyOf(dataset, row), row));
+  incoming.forEach(row => {
+    const key = rowKeyOf(dataset, row);
+    rows.set(key, rows.has(key) ? newerRow(rows.get(key), row) : row);
+  });
+  return Array.from(rows.values());
+}
+
+/**
+ * Combine two datasets. Records from both are kept; settings and the
+ * shoutout are taken from `incoming` when it has them.
+ * @param {Object} current Data already stored
+ * @param {Object} incoming Data being restored
+ * @returns {Object} Merged dataset
+ */
+function mergeDatasets(current, incoming) {
+  const merged = {};
+  BACKUP_DATASETS.forEach(d => {
+    const a = current[d.name];
+    const b = incoming[d.name];
+    if (d.kind === 'list') {
+      merged[d.name] = mergeRows(d, a, b);
+    } else if (d.kind === 'threads') {
+      const threads = { ...a };
+      Object.keys(b).forEach(id => {
+        threads[id] = mergeRows({ rowKey: ['id'] }, threads[id] || [], b[id])
+          .sort((x, y) => (x.timestamp || '').localeCompare(y.timestamp || ''));
+      });
+      merged[d.name] = threads;
+    } else if (d.kind === 'baseline') {
+      merged[d.name] = { ...a, ...b };
+    } else {
+      merged[d.name] = b || a;
+    }
+  });
+  return merged;
+}
+
+// Fill in datasets missing from an older or partial backup
+function completeDataset(data) {
+  const complete = {};
+  BACKUP_DATASETS.forEach(d => {
+    complete[d.name] = d.name in data ? data[d.name] : emptyDatasetValue(d.kind);
+  });
+  return complete;
+}
+
+function writeLocalDataset(data) {
+  BACKUP_DATASETS.forEach(d => {
+    const value = data[d.name];
+    if (value === null) localStorage.removeItem(d.key);
+    else if (d.kind === 'text') localStorage.setItem(d.key, value);
+    else setLocalJson(d.key, value);
+  });
+  localStorage.setItem(LS_SCHEMA_VERSION, SCHEMA_VERSION);
+}
+
+/**
+ * Make the Supabase tables hold `data`: rows are upserted, and rows in
+ * `previous` that `data` no longer has are deleted. The signed-in user's
+ * own profile is never touched so a restore cannot lock them out.
+ * @param {Object} data Dataset to store
+ * @param {Object} previous Dataset currently stored
+ * @returns {Promise<number>} Number of failed writes
+ */
+async function writeRemoteDataset(data, previous) {
+  let failed = 0;
+  const write = async (op) => {
+    const { error } = await remoteWrite(op);
+    if (error) {
+      console.error(error);
+      failed += 1;
+    }
+  };
+  const ownProfile = row => row.userId && row.userId === currentSession.user.id;
+  const replaceRows = async (dataset, rows, oldRows) => {
+    const onConflict = dataset.rowKey.join(',');
+    if (rows.length) await write({ table: dataset.table, action: 'upsert', values: rows, options: { onConflict } });
+    const keep = new Set(rows.map(row => rowKeyOf(dataset, row)));
+    for (const row of oldRows) {
+      if (keep.has(rowKeyOf(dataset, row)) || ownProfile(row)) continue;
+      const match = {};
+      dataset.rowKey.forEach(col => { match[col] = row[col]; });
+      await write({ table: dataset.table, action: 'delete', match });
+    }
+  };
+  for (const d of BACKUP_DATASETS) {
+    const value = data[d.name];
+    const old = previous[d.name];
+    if (d.kind === 'list') {
+      await replaceRows(d, d.name === 'profiles' ? value.filter(row => !ownProfile(row)) : value, old);
+    } else if (d.kind === 'threads') {
+      const flatten = threads => Object.values(threads).reduce((all, thread) => all.concat(thread), []);
+      await replaceRows({ table: d.table, rowKey: ['id'] }, flatten(value), flatten(old));
+    } else if (d.kind === 'baseline') {
+      const toRows = (baseline) => Object.keys(baseline).map(id => {
+        const participant = data.participants.find(p => p.id === id) || previous.participants.find(p => p.id === id);
+        return participant ? { name: participant.name, ...baseline[id] } : null;
+      }).filter(Boolean);
+      await replaceRows({ table: d.table, rowKey: ['name'] }, toRows(value), toRows(old));
+    } else if (d.kind === 'text') {
+      await write({ table: d.table, action: 'upsert', values: { id: 1, text: value } });
+    } else if (value) {
+      await write({ table: d.table, action: 'upsert', values: d.toRow ? d.toRow(value) : { id: 1, ...value } });
+    }
   }
+  return failed;
+}
+
+/**
+ * Restore a validated backup into the active backend.
+ * @param {Object} backup Backup that passed validateBackup()
+ * @param {string} mode 'merge' or 'replace'
+ * @returns {Promise<number>} Number of failed writes (always 0 locally)
+ */
+async function restoreBackup(backup, mode) {
+  requireBackupAccess();
+  const current = await collectDataset();
+  const incoming = await importBlobs(completeDataset(backup.data), backup.blobs || {});
+  const data = mode === 'merge' ? mergeDatasets(current, incoming) : incoming;
+  if (supabase) return writeRemoteDataset(data, current);
+  writeLocalDataset(data);
+  await pruneUnusedBlobs();
+  return 0;
+}
+
+// Copy what was stored in localStorage mode into a newly configured
+// Supabase project. Local data is left in place.
+async function moveLocalDataToSupabase(local) {
+  requirePermission('backup.manage');
+  const current = await collectDataset();
+  // Files only this browser has are uploaded to the media bucket
+  const moved = await mapBlobRefs(local, async (ref) => {
+    const blob = await getBlob(ref);
+    return blob ? uploadMedia(blob) : ref;
+  });
+  return writeRemoteDataset(mergeDatasets(current, moved), current);
 }
 
 // ==== Payment feature ====
 
-function renderPayment() {
+async function renderPayment() {
   const container = document.getElementById('content');
   container.innerHTML = '';
+  const settings = await loadPaymentSettings();
   const div = document.createElement('div');
   div.innerHTML = `
     <h2>Medlemskap</h2>
     <p>For å få tilgang til alle treningsprogrammene, scoreboardet og fremtidige funksjoner som meldinger og personlige programmer, må du ha et aktivt Ask4Fitness‑medlemskap.</p>
-    <p>Medlemskapet gir deg full tilgang i 8 uker med mulighet for fornyelse.</p>
+    <p>Medlemskapet gir deg full tilgang i ${settings.weeks} uker med mulighet for fornyelse.</p>
   `;
   container.appendChild(div);
   const stripeBtn = document.createElement('button');
   stripeBtn.className = 'btn';
   stripeBtn.textContent = 'Betal med Stripe';
-  stripeBtn.onclick = () => startStripeCheckout();
+  stripeBtn.onclick = () => startStripeCheckout(settings.priceId || STRIPE_PRICE_ID);
   container.appendChild(stripeBtn);
   const vippsBtn = document.createElement('button');
   vippsBtn.className = 'btn';
@@ -976,14 +6881,14 @@ function renderPayment() {
   container.appendChild(vippsBtn);
 }
 
-function startStripeCheckout() {
-  if (!STRIPE_PUBLISHABLE_KEY || !STRIPE_PRICE_ID) {
-    alert('Stripe er ikke konfigurert. Legg inn STRIPE_PUBLISHABLE_KEY og STRIPE_PRICE_ID i app.js.');
+function startStripeCheckout(priceId) {
+  if (!STRIPE_PUBLISHABLE_KEY || !priceId) {
+    alert('Stripe er ikke konfigurert. Legg inn STRIPE_PUBLISHABLE_KEY i app.js og en pris-ID i adminpanelet.');
     return;
   }
   const stripe = Stripe(STRIPE_PUBLISHABLE_KEY);
   stripe.redirectToCheckout({
-    lineItems: [{ price: STRIPE_PRICE_ID, quantity: 1 }],
+    lineItems: [{ price: priceId, quantity: 1 }],
     mode: 'payment',
     successUrl: window.location.href + '?paid=1',
     cancelUrl: window.location.href
@@ -994,6 +6899,29 @@ function startStripeCheckout() {
   });
 }
 
+// Payment settings chosen by the owner; the price ID overrides STRIPE_PRICE_ID
+async function loadPaymentSettings() {
+  let settings = null;
+  if (supabase) {
+    const { data } = await remoteRead('payment_settings', supabase.from('payment_settings').select().eq('id', 1).maybeSingle());
+    settings = data;
+  } else {
+    const stored = localStorage.getItem(LS_PAYMENT);
+    settings = stored ? JSON.parse(stored) : null;
+  }
+  return { priceId: '', weeks: 8, ...settings };
+}
+
+async function savePaymentSettings(settings) {
+  requirePermission('payments.manage');
+  if (supabase) {
+    const { error } = await remoteWrite({ table: 'payment_settings', action: 'upsert', values: { id: 1, ...settings } });
+    if (error) console.error(error);
+  } else {
+    localStorage.setItem(LS_PAYMENT, JSON.stringify(settings));
+  }
+}
+
 function startVippsPayment() {
   alert('Vipps‑integrasjon er ikke implementert i demoen. Kontakt utvikler for å sette opp Vipps betaling via backend API.');
 }
@@ -1001,38 +6929,40 @@ function startVippsPayment() {
 // ==== Messaging feature ====
 
 async function renderMessages() {
-  if (!currentSession) {
-    alert('Du må være innlogget for å bruke meldinger.');
-    renderLogin();
-    return;
-  }
   const container = document.getElementById('content');
   container.innerHTML = '';
   const header = document.createElement('h2');
   header.textContent = 'Meldinger';
   container.appendChild(header);
   const participants = await loadParticipants();
-  // Filter participants: admin cannot message themselves
-  const others = participants.filter(n => n !== currentSession?.user?.email);
+  // Filter participants: users cannot message themselves
+  const me = await getCurrentParticipant();
+  const others = participants.filter(p => p.active && (!me || p.id !== me.id));
   const list = document.createElement('ul');
-  others.forEach(name => {
+  others.forEach(participant => {
     const li = document.createElement('li');
     li.style.marginBottom = '0.5rem';
     const btn = document.createElement('button');
     btn.className = 'btn';
-    btn.textContent = `Chat med ${name}`;
-    btn.onclick = () => renderConversation(name);
+    btn.textContent = `Chat med ${participant.name}`;
+    btn.onclick = () => navigate(`/messages/${encodeURIComponent(participant.id)}`);
     li.appendChild(btn);
     list.appendChild(li);
   });
   container.appendChild(list);
 }
 
-async function renderConversation(name) {
+/**
+ * Render the message thread with one participant. Threads are keyed by
+ * participant id.
+ * @param {Object} participant The participant the thread belongs to
+ */
+async function renderConversation(participant) {
+  const name = participant.name;
   const container = document.getElementById('content');
   container.innerHTML = '';
   const header = document.createElement('div');
-  header.innerHTML = `<h2>Chat med ${name}</h2>`;
+  header.innerHTML = `<h2>Chat med ${escapeHtml(name)}</h2>`;
   container.appendChild(header);
   const messagesArea = document.createElement('div');
   messagesArea.style.border = '1px solid #444';
@@ -1061,17 +6991,21 @@ async function renderConversation(name) {
   // Load conversation
   async function loadConv() {
     const msgsObj = await loadMessages();
-    const conv = msgsObj[name] || [];
+    const conv = msgsObj[participant.id] || [];
     messagesArea.innerHTML = '';
     conv.forEach(msg => {
       const p = document.createElement('p');
       p.style.marginBottom = '0.25rem';
-      p.innerHTML = `<strong>${msg.from === currentSession?.user?.email ? 'Deg' : name}:</strong> ${msg.text}`;
+      // Older messages store the sender's email, newer ones the auth user id
+      const user = currentSession?.user || {};
+      const fromMe = msg.from === user.id || msg.from === user.email;
+      const fromParticipant = msg.from === participant.userId || (participant.email && msg.from === participant.email);
+      p.innerHTML = `<strong>${fromMe ? 'Deg' : fromParticipant ? escapeHtml(name) : 'Trener'}:</strong> ${escapeHtml(msg.text)}`;
       // Attachments if any
       if (msg.attachments && msg.attachments.length) {
         msg.attachments.forEach(att => {
           const link = document.createElement('a');
-          link.href = att.data;
+          resolveBlobUrl(att.data).then(url => { if (url) link.href = url; });
           link.download = att.name;
           link.textContent = ` [${att.name}]`;
           link.style.color = 'var(--accent-color)';
@@ -1089,28 +7023,24 @@ async function renderConversation(name) {
     const text = input.value.trim();
     const files = Array.from(fileInput.files);
     if (!text && files.length === 0) return;
-    const attachments = [];
-    for (const file of files) {
-      const reader = new FileReader();
-      await new Promise(resolve => {
-        reader.onload = () => {
-          attachments.push({ name: file.name, data: reader.result });
-          resolve();
-        };
-        reader.readAsDataURL(file);
-      });
-    }
+    // Files are moved to blob storage by saveMessages
+    const attachments = files.map(file => ({ name: file.name, data: file }));
     const msgsObj = await loadMessages();
-    msgsObj[name] = msgsObj[name] || [];
-    msgsObj[name].push({
+    msgsObj[participant.id] = msgsObj[participant.id] || [];
+    msgsObj[participant.id].push({
       id: Date.now().toString(),
-      from: currentSession?.user?.email || 'admin',
-      to: name,
+      from: currentSession?.user?.id || 'admin',
+      to: participant.id,
       text,
       attachments,
       timestamp: new Date().toISOString()
     });
-    await saveMessages(msgsObj);
+    try {
+      await saveMessages(msgsObj);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
     input.value = '';
     fileInput.value = '';
     loadConv();
@@ -1120,6 +7050,6 @@ async function renderConversation(name) {
   backBtn.className = 'btn';
   backBtn.textContent = 'Tilbake';
   backBtn.style.marginTop = '1rem';
-  backBtn.onclick = () => renderMessages();
+  backBtn.onclick = () => navigate('/messages');
   container.appendChild(backBtn);
 }
\ No newline at end of file
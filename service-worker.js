@@ -1,4 +1,6 @@
-const CACHE_NAME = 'ask4fitness-cache-v1';
+const CACHE_NAME = 'ask4fitness-cache-v16';
+// Background Sync tag registered by the app when writes are queued offline
+const SYNC_TAG = 'a4f-sync';
 const ASSETS = [
   './',
   'index.html',
@@ -9,6 +11,8 @@ const ASSETS = [
   'icons/icon-192.png',
   'icons/icon-512.png'
 ];
+// Kinds of cross-origin requests kept for offline use
+const CROSS_ORIGIN_CACHED = ['script', 'style', 'image', 'audio', 'video'];
 
 self.addEventListener('install', (event) => {
   event.waitUntil(
@@ -34,6 +38,26 @@ self.addEventListener('fetch', (event) => {
   const request = event.request;
   // Only handle GET requests
   if (request.method !== 'GET') return;
+  if (new URL(request.url).origin !== self.location.origin) {
+    // Libraries from a CDN and uploaded media are fetched network-first,
+    // with the cached copy used offline. Supabase and other API requests
+    // are not cached at all, so the kiosk always sees fresh data; the app
+    // keeps its own offline copy of what it reads.
+    if (!CROSS_ORIGIN_CACHED.includes(request.destination)) return;
+    event.respondWith(
+      fetch(request).then((response) => {
+        // Partial (range) responses cannot be cached
+        if (response.status === 200) {
+          const responseClone = response.clone();
+          caches.open(CACHE_NAME).then((cache) => {
+            cache.put(request, responseClone);
+          });
+        }
+        return response;
+      }).catch(() => caches.match(request))
+    );
+    return;
+  }
   event.respondWith(
     caches.match(request).then((cached) => {
       return (
@@ -54,4 +78,15 @@ self.addEventListener('fetch', (event) => {
       );
     })
   );
-});
\ No newline at end of file
+});
+
+// The write queue lives in the page's localStorage, so the service worker
+// asks open app windows to replay it once connectivity returns.
+self.addEventListener('sync', (event) => {
+  if (event.tag !== SYNC_TAG) return;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      clients.forEach((client) => client.postMessage({ type: SYNC_TAG }));
+    })
+  );
+});